@@ -1,7 +1,12 @@
+import { re } from '@bablr/boot';
 import { buildFilledGapFunction } from '@bablr/agast-helpers/template';
 import * as t from '@bablr/agast-helpers/shorthand';
 import { buildLiteralTag as agastBuildLiteralTag } from '@bablr/agast-helpers/builders';
-import { treeFromStreamSync as treeFromStream } from '@bablr/agast-helpers/tree';
+import {
+  treeFromStreamSync as treeFromStream,
+  streamFromTree,
+  getRoot,
+} from '@bablr/agast-helpers/tree';
 import { buildToken } from '@bablr/agast-vm-helpers/builders';
 import { concat } from '@bablr/agast-vm-helpers/iterable';
 
@@ -15,9 +20,16 @@ const escapables = {
   '\r': 'r',
   '\n': 'n',
   '\t': 't',
+  '\b': 'b',
+  '\f': 'f',
+  '\v': 'v',
   '\0': '0',
 };
 
+const cookedEscapables = Object.fromEntries(Object.entries(escapables).map(([k, v]) => [v, k]));
+
+const lineTerminatorPattern = /^(?:\r\n|[\n\r\u2028\u2029])/;
+
 const buildAppendTokenCommand = (tokenType) => (tokenValue) => {
   return buildSequence(
     buildAppend(t.nodeOpen(t.tokenFlags, canonicalURL, tokenType)),
@@ -36,6 +48,16 @@ export function buildSequence(...children) {
 
 export const seq = buildSequence;
 
+// a group is printed flat when it fits in the print width, or broken onto several lines
+export function buildGroup(children, shouldBreak = false) {
+  return { type: 'Group', children, break: shouldBreak };
+}
+
+// chooses between commands by whether the innermost group around it was broken
+export function buildIfBreak(breakContents, flatContents = []) {
+  return { type: 'IfBreak', breakContents, flatContents };
+}
+
 export const ref = (...args) => buildAppend(t.ref(...args));
 
 export let PN = buildAppendTokenCommand('PunctuatorToken'),
@@ -48,28 +70,163 @@ export const buildKeyword = (name) => {
   return buildToken(l, 'Keyword', name);
 };
 
-export const buildString = (value) => {
-  const pieces = isArray(value) ? value : [value];
+const isLoneSurrogate = (chr) => chr.length === 1 && /[\uD800-\uDFFF]/.test(chr);
+
+const needsEscape = (chr, quote) =>
+  chr === '\\' ||
+  chr === quote ||
+  chr.charCodeAt(0) < 32 ||
+  chr === '\u2028' ||
+  chr === '\u2029' ||
+  isLoneSurrogate(chr);
+
+export const getPreferredQuote = (value, preference = 'single') => {
+  if (preference === 'single') return "'";
+  if (preference === 'double') return '"';
+  if (preference !== 'auto') throw new Error(`Unknown quote preference ${preference}`);
+
+  let singles = 0;
+  let doubles = 0;
+
+  for (const chr of value) {
+    if (chr === "'") singles++;
+    if (chr === '"') doubles++;
+  }
+
+  return doubles < singles ? '"' : "'";
+};
+
+const buildEscapeCode = (sigil, digits, braced = false) => {
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(
+    concat(
+      [t.nodeOpen(t.nodeFlags, l, 'EscapeCode')],
+      sigil ? [t.ref`sigilToken`, gap(buildKeyword(sigil))] : [],
+      braced ? [t.ref`openToken`, gap(buildToken(l, 'Punctuator', '{'))] : [],
+      [t.ref`digits[]`, t.arr()],
+      [...digits].flatMap((digit) => [t.ref`digits[]`, gap(buildDigit(digit))]),
+      braced ? [t.ref`closeToken`, gap(buildToken(l, 'Punctuator', '}'))] : [],
+      [t.nodeClose()],
+    ),
+    { expressions },
+  );
+};
+
+// picks the escape for a cooked character, `next` is needed because \0 can't precede a digit
+const buildCookedEscape = (chr, next) => {
+  const code = chr.codePointAt(0);
+
+  if (escapables[chr] && !(chr === '\0' && next && /\d/.test(next))) {
+    return buildEscapeCode(escapables[chr], '');
+  } else if (code < 32) {
+    return buildEscapeCode('x', code.toString(16).padStart(2, '0'));
+  } else if (chr === '\u2028' || chr === '\u2029' || isLoneSurrogate(chr)) {
+    return buildEscapeCode('u', code.toString(16).toUpperCase().padStart(4, '0'));
+  } else {
+    return buildKeyword(chr);
+  }
+};
+
+// reads the escape at the start of `raw`, which is the text after a backslash
+const parseRawEscape = (raw, template = false) => {
+  let match;
+
+  if ((match = lineTerminatorPattern.exec(raw))) {
+    // a line continuation, which contributes nothing to the cooked value
+    return {
+      length: match[0].length,
+      cooked: '',
+      value: buildToken(l, 'LineTerminator', match[0]),
+    };
+  } else if ((match = /^x([\da-fA-F]{2})/.exec(raw))) {
+    const cooked = String.fromCharCode(parseInt(match[1], 16));
+    return { length: match[0].length, cooked, value: buildEscapeCode('x', match[1]) };
+  } else if (
+    (match = /^u\{([\da-fA-F]+)\}/.exec(raw)) &&
+    // a code point past 0x10FFFF is another escape with no cooked value in a template
+    (!template || parseInt(match[1], 16) <= 0x10ffff)
+  ) {
+    const cooked = String.fromCodePoint(parseInt(match[1], 16));
+    return { length: match[0].length, cooked, value: buildEscapeCode('u', match[1], true) };
+  } else if ((match = /^u([\da-fA-F]{4})/.exec(raw))) {
+    const cooked = String.fromCharCode(parseInt(match[1], 16));
+    return { length: match[0].length, cooked, value: buildEscapeCode('u', match[1]) };
+  } else if ((match = /^0(?![0-9])/.exec(raw))) {
+    return { length: 1, cooked: '\0', value: buildEscapeCode('0', '') };
+  } else if (template && /^[xu\d]/.test(raw)) {
+    // tagged templates may contain escapes that are invalid, they have no cooked value
+    return { length: 1, cooked: null, value: buildKeyword(raw[0]) };
+  } else if ((match = /^(?:[0-3][0-7]{0,2}|[4-7][0-7]?)/.exec(raw))) {
+    // legacy octal escapes have no sigil
+    const cooked = String.fromCharCode(parseInt(match[0], 8));
+    return { length: match[0].length, cooked, value: buildEscapeCode(null, match[0]) };
+  } else if (cookedEscapables[raw[0]]) {
+    return { length: 1, cooked: cookedEscapables[raw[0]], value: buildEscapeCode(raw[0], '') };
+  } else {
+    const chr = String.fromCodePoint(raw.codePointAt(0));
+    return { length: chr.length, cooked: chr, value: buildKeyword(chr) };
+  }
+};
+
+const isEscapePart = (part) => part.cooked !== undefined;
+
+// parts are literal text, escapes ({ cooked, value }), or tags to embed as they are
+function* buildContentTags(type, parts, gap, attributes) {
+  yield t.nodeOpen(t.tokenFlags, l, type, attributes);
+
   let lit = '';
 
-  if (pieces.length === 1 && pieces[0] === "'") {
-    const expressions = [];
-    const gap = buildFilledGapFunction(expressions);
-    return treeFromStream(
-      [
-        t.nodeOpen(t.nodeFlags, l, 'String'),
-        t.ref`openToken`,
-        gap(buildToken(l, 'Punctuator', '"')),
-        t.ref`content`,
-        gap(buildToken(l, 'StringContent', value)),
-        t.ref`closeToken`,
-        gap(buildToken(l, 'Punctuator', '"')),
-        t.nodeClose(),
-      ],
-      { expressions },
-    );
+  for (const part of parts) {
+    if (isString(part)) {
+      lit += part;
+      continue;
+    }
+
+    if (lit) yield agastBuildLiteralTag(lit);
+    lit = '';
+
+    if (part == null) {
+      throw new Error('not implemented');
+    } else if (isEscapePart(part)) {
+      yield t.ref`@`;
+      yield t.nodeOpen(t.nodeFlags, l, 'EscapeSequence', { cooked: part.cooked });
+      yield t.ref`escape`;
+      yield gap(buildToken(l, 'Punctuator', '\\'));
+      yield t.ref`value`;
+      yield gap(part.value);
+      yield t.nodeClose();
+    } else if (isString(part.type)) {
+      yield part;
+    } else {
+      throw new Error();
+    }
   }
 
+  if (lit) yield agastBuildLiteralTag(lit);
+
+  yield t.nodeClose();
+}
+
+const parseRawContent = (raw, template = false) => {
+  const parts = [];
+
+  for (let i = 0; i < raw.length; ) {
+    if (raw[i] === '\\') {
+      const escape = parseRawEscape(raw.slice(i + 1), template);
+      parts.push(escape);
+      i += escape.length + 1;
+    } else {
+      parts.push(raw[i]);
+      i++;
+    }
+  }
+
+  return parts;
+};
+
+const buildStringFromParts = (quote, parts) => {
   const expressions = [];
   const gap = buildFilledGapFunction(expressions);
 
@@ -77,133 +234,220 @@ export const buildString = (value) => {
     (function* () {
       yield t.nodeOpen(t.nodeFlags, l, 'String');
       yield t.ref`openToken`;
-      const tok = buildToken(l, 'Punctuator', "'");
-      yield gap(tok);
+      yield gap(buildToken(l, 'Punctuator', quote));
       yield t.ref`content`;
-      yield t.nodeOpen(t.tokenFlags, l, 'StringContent');
-
-      for (const piece of pieces) {
-        if (isString(piece)) {
-          const value = piece;
-
-          for (const chr of value) {
-            if (
-              chr === '\\' ||
-              chr === "'" ||
-              chr === '\n' ||
-              chr === '\r' ||
-              chr === '\t' ||
-              chr === '\0' ||
-              chr.charCodeAt(0) < 32
-            ) {
-              if (lit) {
-                yield agastBuildLiteralTag(lit);
-                lit = '';
-              }
-
-              let value;
-
-              if (escapables[chr]) {
-                const expressions = [];
-                const gap = buildFilledGapFunction(expressions);
-
-                value = treeFromStream(
-                  [
-                    t.nodeOpen(t.nodeFlags, l, 'EscapeCode'),
-                    t.ref`sigilToken`,
-                    gap(buildKeyword(escapables[chr])),
-                    t.ref`digits[]`,
-                    t.arr(),
-                    t.nodeClose(),
-                  ],
-                  { expressions },
-                );
-              } else if (chr.charCodeAt(0) < 32) {
-                const hexDigits = chr.charCodeAt(0).toString(16).padStart(4, '0');
-                const expressions = [];
-                const gap = buildFilledGapFunction(expressions);
-
-                value = treeFromStream(
-                  [
-                    t.nodeOpen(t.nodeFlags, l, 'EscapeCode'),
-                    t.ref`sigilToken`,
-                    gap(buildKeyword('u')),
-                    t.ref`digits[]`,
-                    t.arr(),
-                    [...hexDigits].flatMap((digit) => [t.ref`digits[]`, gap(buildDigit(digit))]),
-                    t.nodeClose(),
-                  ],
-                  { expressions },
-                );
-              } else {
-                value = buildKeyword(chr);
-              }
-
-              yield t.ref`@`;
-              yield t.nodeOpen(t.nodeFlags, l, 'EscapeSequence', { cooked: chr });
-              yield t.ref`escape`;
-              yield gap(buildToken(l, 'Punctuator', '\\'));
-              yield t.ref`value`;
-              yield gap(value);
-              yield t.nodeClose();
-            } else {
-              lit += chr;
-            }
-          }
-        } else {
-          yield agastBuildLiteralTag(lit);
-          lit = '';
-
-          if (piece == null) {
-            throw new Error('not implemented');
-          } else if (isString(piece.type)) {
-            yield piece;
-          } else {
-            throw new Error();
-          }
-        }
-      }
-
-      if (lit) yield agastBuildLiteralTag(lit);
-      lit = '';
-
-      yield t.nodeClose();
+      yield* buildContentTags('StringContent', parts, gap);
       yield t.ref`closeToken`;
-      yield gap(buildToken(l, 'Punctuator', "'"));
+      yield gap(buildToken(l, 'Punctuator', quote));
       yield t.nodeClose();
     })(),
     { expressions },
   );
 };
 
-export const buildNumber = (value) => {
-  if (Number.isFinite(value)) {
-    return buildInteger(value);
-  } else {
-    return buildInfinity(value);
+export const buildString = (value, quote = "'") => {
+  const pieces = isArray(value) ? value : [value];
+  const parts = [];
+
+  for (const piece of pieces) {
+    if (!isString(piece)) {
+      parts.push(piece);
+      continue;
+    }
+
+    const chrs = [...piece];
+
+    for (let i = 0; i < chrs.length; i++) {
+      const chr = chrs[i];
+
+      if (needsEscape(chr, quote)) {
+        parts.push({ cooked: chr, value: buildCookedEscape(chr, chrs[i + 1]) });
+      } else {
+        parts.push(chr);
+      }
+    }
   }
+
+  return buildStringFromParts(quote, parts);
+};
+
+// keeps the quotes, escapes, and line continuations exactly as they were written
+export const buildStringFromRaw = (raw) => {
+  const quote = raw[0];
+
+  if ((quote !== "'" && quote !== '"') || raw[raw.length - 1] !== quote) {
+    throw new Error(`Invalid string literal ${raw}`);
+  }
+
+  return buildStringFromParts(quote, parseRawContent(raw.slice(1, -1)));
+};
+
+// template quasis are always built from raw, which is the only lossless spelling of them
+export const buildTemplateContent = (raw) => {
+  const parts = parseRawContent(raw, true);
+  const valid = parts.every((part) => !isEscapePart(part) || part.cooked !== null);
+  const cooked = valid ? parts.map((part) => (isString(part) ? part : part.cooked)).join('') : null;
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(buildContentTags('TemplateContent', parts, gap, { cooked }), {
+    expressions,
+  });
+};
+
+// JSX attribute strings have no escapes, so the content is always a single literal
+export const buildJSXString = (value, quote = value.includes('"') ? "'" : '"') => {
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(
+    [
+      t.nodeOpen(t.nodeFlags, l, 'String'),
+      t.ref`openToken`,
+      gap(buildToken(l, 'Punctuator', quote)),
+      t.ref`content`,
+      gap(buildToken(l, 'StringContent', value)),
+      t.ref`closeToken`,
+      gap(buildToken(l, 'Punctuator', quote)),
+      t.nodeClose(),
+    ],
+    { expressions },
+  );
+};
+
+const prefixedIntegerPattern = /^(0[xXoObB])([\da-fA-F_]+)(n?)$/;
+const decimalNumberPattern = /^(\d[\d_]*)?(?:(\.)(\d[\d_]*)?)?(?:([eE])([+-]?)(\d[\d_]*))?(n?)$/;
+
+// `raw` may be any spelling a parser accepts, e.g. 0xFF, 1_000, .5e-3, or 10n
+export const buildNumber = (value, raw) => {
+  if (raw == null) {
+    if (Number.isNaN(value)) {
+      return buildNaN();
+    } else if (!Number.isFinite(value)) {
+      return buildInfinity(value);
+    }
+
+    const negative = value < 0 || Object.is(value, -0);
+
+    return buildNumeric(String(Math.abs(value)), negative ? '-' : null);
+  }
+
+  return buildNumeric(raw);
+};
+
+const buildNumeric = (str, sign = null) => {
+  const prefixed = prefixedIntegerPattern.exec(str);
+
+  if (prefixed) {
+    const [, prefix, digits, suffix] = prefixed;
+    return buildIntegerFromDigits(digits, { sign, prefix, suffix: suffix || null });
+  }
+
+  const match = decimalNumberPattern.exec(str);
+
+  if (!match || (!match[1] && !match[3]) || (match[7] && (match[2] || match[4]))) {
+    throw new Error(`Invalid numeric literal ${str}`);
+  }
+
+  const [, whole, point, fraction, exponentToken, exponentSign, exponent, suffix] = match;
+
+  const baseSign = exponentToken ? null : sign;
+  const base = point
+    ? buildDecimal(whole, fraction, baseSign)
+    : buildIntegerFromDigits(whole, { sign: baseSign, suffix: suffix || null });
+
+  if (!exponentToken) return base;
+
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(
+    concat(
+      [t.nodeOpen(t.nodeFlags, l, 'ScientificNotation')],
+      sign ? [t.ref`sign`, gap(buildToken(l, 'Punctuator', sign))] : [],
+      [
+        t.ref`base`,
+        gap(base),
+        t.ref`exponentToken`,
+        gap(buildToken(l, 'Keyword', exponentToken)),
+        t.ref`exponent`,
+        gap(buildIntegerFromDigits(exponent, { sign: exponentSign || null })),
+        t.nodeClose(),
+      ],
+    ),
+    { expressions },
+  );
 };
 
 export const buildDigit = (value) => {
   return buildToken(l, 'Digit', value);
 };
 
-export const buildInteger = (value, base = 10) => {
+// digits may include `_` numeric separators, which are kept as separators
+export const buildIntegerFromDigits = (
+  digits,
+  { sign = null, prefix = null, suffix = null } = {},
+) => {
   const expressions = [];
   const gap = buildFilledGapFunction(expressions);
 
-  const digits = value.toString(base).split('');
+  return treeFromStream(
+    concat(
+      [t.nodeOpen(t.nodeFlags, l, 'Integer')],
+      sign ? [t.ref`sign`, gap(buildToken(l, 'Punctuator', sign))] : [],
+      prefix ? [t.ref`prefixToken`, gap(buildToken(l, 'Keyword', prefix))] : [],
+      [t.ref`digits[]`, t.arr()],
+      digits.includes('_') ? [t.ref`separators[]`, t.arr()] : [],
+      [...digits].flatMap((digit) =>
+        digit === '_'
+          ? [t.ref`separators[]`, gap(buildToken(l, 'Punctuator', '_'))]
+          : [t.ref`digits[]`, gap(buildDigit(digit))],
+      ),
+      suffix ? [t.ref`suffixToken`, gap(buildToken(l, 'Keyword', suffix))] : [],
+      [t.nodeClose()],
+    ),
+    { expressions },
+  );
+};
+
+export const buildInteger = (value, base = 10) => {
+  return buildIntegerFromDigits(Math.abs(value).toString(base), {
+    sign: value < 0 ? '-' : null,
+  });
+};
+
+export const buildDecimal = (whole, fraction, sign = null) => {
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
 
   return treeFromStream(
     concat(
-      [t.nodeOpen(t.nodeFlags, l, 'Integer'), t.ref`digits[]`, t.arr()],
-      digits.flatMap((digit) => [t.ref`digits[]`, gap(buildDigit(digit))]),
+      [t.nodeOpen(t.nodeFlags, l, 'Decimal')],
+      sign ? [t.ref`sign`, gap(buildToken(l, 'Punctuator', sign))] : [],
+      whole ? [t.ref`wholePart`, gap(buildIntegerFromDigits(whole))] : [],
+      [t.ref`pointToken`, gap(buildToken(l, 'Punctuator', '.'))],
+      fraction ? [t.ref`fractionalPart`, gap(buildIntegerFromDigits(fraction))] : [],
       [t.nodeClose()],
     ),
     { expressions },
   );
 };
 
+export const buildNaN = () => {
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(
+    [
+      t.nodeOpen(t.nodeFlags, l, 'NaN'),
+      t.ref`sigilToken`,
+      gap(buildToken(l, 'Keyword', 'NaN')),
+      t.nodeClose(),
+    ],
+    { expressions },
+  );
+};
+
 export const buildInfinity = (value) => {
   let sign;
   if (value === Infinity) {
@@ -259,3 +503,61 @@ export const buildNull = () => {
     { expressions },
   );
 };
+
+const regexFlags = {
+  d: 'hasIndices',
+  g: 'global',
+  i: 'ignoreCase',
+  m: 'multiline',
+  s: 'dotAll',
+  u: 'unicode',
+  v: 'unicodeSets',
+  y: 'sticky',
+};
+
+// the pattern is parsed on its own so that flags the regex grammar predates still build
+export const buildRegex = (pattern, flags = '') => {
+  if (![...flags].every((flag) => regexFlags[flag]) || new Set(flags).size !== flags.length) {
+    throw new Error(`Invalid regular expression flags ${flags}`);
+  }
+
+  let patternTags;
+
+  try {
+    patternTags = [...streamFromTree(getRoot(re({ raw: [`/${pattern}/`] })))];
+  } catch (e) {
+    throw new Error(`Unable to parse regular expression /${pattern}/${flags}: ${e.message}`, {
+      cause: e,
+    });
+  }
+
+  const { language } = patternTags[0].value;
+
+  const buildFlag = (flag) => {
+    const expressions = [];
+    const gap = buildFilledGapFunction(expressions);
+
+    return treeFromStream(
+      [
+        t.nodeOpen(t.nodeFlags, language, 'Flag', { kind: regexFlags[flag] }),
+        t.ref`value`,
+        gap(buildToken(language, 'Keyword', flag)),
+        t.nodeClose(),
+      ],
+      { expressions },
+    );
+  };
+
+  const expressions = [];
+  const gap = buildFilledGapFunction(expressions);
+
+  return treeFromStream(
+    concat(
+      patternTags.slice(0, -1),
+      [t.ref`flags[]`, t.arr()],
+      [...flags].flatMap((flag) => [t.ref`flags[]`, gap(buildFlag(flag))]),
+      patternTags.slice(-1),
+    ),
+    { expressions },
+  );
+};
@@ -0,0 +1,159 @@
+import * as t from '@bablr/agast-helpers/shorthand';
+import { canonicalURL } from './builders.js';
+import { isJSDoc, buildJSDocTags } from './jsdoc.js';
+import { getStart, getEnd } from './reprint.js';
+
+// Comments from a parser's separate list (acorn, espree, meriyah's onComment) are attached with
+// prettier's rules: own-line comments lead, end-of-line comments trail, the rest dangle.
+
+const ignoredKeys = new Set([
+  'loc',
+  'range',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+]);
+
+const hasPosition = (node) =>
+  typeof getStart(node) === 'number' && typeof getEnd(node) === 'number';
+
+const isNode = (value) =>
+  value != null && typeof value === 'object' && typeof value.type === 'string';
+
+const childCache = new WeakMap();
+
+function getChildNodes(node) {
+  if (childCache.has(node)) return childCache.get(node);
+
+  const children = [];
+
+  for (const key of Object.keys(node)) {
+    if (ignoredKeys.has(key)) continue;
+
+    const value = node[key];
+
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (isNode(child) && hasPosition(child)) children.push(child);
+    }
+  }
+
+  children.sort((a, b) => getStart(a) - getStart(b));
+
+  childCache.set(node, children);
+
+  return children;
+}
+
+function normalizeComment(comment) {
+  const type = comment.type === 'Block' || comment.type === 'MultiLine' ? 'Block' : 'Line';
+
+  return { type, value: comment.value, start: getStart(comment), end: getEnd(comment) };
+}
+
+// finds the innermost node enclosing the comment and its neighbors within that node
+function locate(node, comment) {
+  let precedingNode = null;
+  let followingNode = null;
+
+  for (const child of getChildNodes(node)) {
+    if (getStart(child) <= comment.start && comment.end <= getEnd(child)) {
+      return locate(child, comment);
+    } else if (getEnd(child) <= comment.start) {
+      precedingNode = child;
+    } else if (comment.end <= getStart(child)) {
+      followingNode = child;
+      break;
+    }
+  }
+
+  return { enclosingNode: node, precedingNode, followingNode };
+}
+
+function isOwnLine(comment, source) {
+  const lineStart = source.lastIndexOf('\n', comment.start - 1) + 1;
+
+  return /^\s*$/.test(source.slice(lineStart, comment.start));
+}
+
+function isEndOfLine(comment, source) {
+  const lineEnd = source.indexOf('\n', comment.end);
+
+  return /^\s*$/.test(source.slice(comment.end, lineEnd < 0 ? source.length : lineEnd));
+}
+
+function add(node, key, comment) {
+  if (!node[key]) node[key] = [];
+  node[key].push(comment);
+}
+
+// mutates the AST, like handle_body does. Without source every comment leads the node after it
+export function attachComments(ast, comments, source) {
+  for (const comment of comments.map(normalizeComment)) {
+    if (!hasPosition(comment)) {
+      throw new Error('Comments can only be attached by location when they have ranges');
+    }
+
+    const location = locate(ast, comment);
+    const { enclosingNode, followingNode } = location;
+    let { precedingNode } = location;
+    const { type, value } = comment;
+    const node = { type, value };
+
+    // a switch's cases are its body, and inside its braces the discriminant is no neighbor
+    const body =
+      enclosingNode.type === 'SwitchStatement' ? enclosingNode.cases : enclosingNode.body;
+
+    if (
+      enclosingNode.type === 'SwitchStatement' &&
+      precedingNode === enclosingNode.discriminant &&
+      source != null &&
+      source.slice(getEnd(precedingNode), comment.start).includes('{')
+    ) {
+      precedingNode = null;
+    }
+
+    if (source != null && isOwnLine(comment, source)) {
+      // at the end of a body a comment stays on its own line, after the last statement
+      if (followingNode) add(followingNode, 'leadingComments', node);
+      else if (Array.isArray(body)) add(enclosingNode, 'innerComments', node);
+      else if (precedingNode) add(precedingNode, 'trailingComments', node);
+      else add(enclosingNode, 'innerComments', node);
+    } else if (source != null && isEndOfLine(comment, source)) {
+      if (precedingNode) add(precedingNode, 'trailingComments', node);
+      else if (followingNode) add(followingNode, 'leadingComments', node);
+      else add(enclosingNode, 'innerComments', node);
+    } else {
+      if (followingNode) add(followingNode, 'leadingComments', node);
+      else if (precedingNode) add(precedingNode, 'trailingComments', node);
+      else add(enclosingNode, 'innerComments', node);
+    }
+  }
+
+  return ast;
+}
+
+function* buildTokenTags(ref, type, value) {
+  yield ref;
+  yield t.nodeOpen(t.tokenFlags, canonicalURL, type);
+  yield t.lit(value);
+  yield t.nodeClose();
+}
+
+// comments are trivia nodes with separate delimiter and content tokens
+export function* buildCommentTags(type, value, jsdoc = false) {
+  const block = type === 'Block';
+
+  yield t.ref`#`;
+  yield t.nodeOpen(t.nodeFlags, canonicalURL, block ? 'BlockComment' : 'LineComment');
+  yield* buildTokenTags(t.ref`openToken`, 'Punctuator', block ? '/*' : '//');
+
+  if (block && jsdoc && isJSDoc(value)) {
+    yield t.ref`content`;
+    yield* buildJSDocTags(value);
+  } else if (value) {
+    yield* buildTokenTags(t.ref`content`, 'CommentContent', value);
+  }
+
+  if (block) yield* buildTokenTags(t.ref`closeToken`, 'Punctuator', '*/');
+  yield t.nodeClose();
+}
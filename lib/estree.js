@@ -0,0 +1,870 @@
+import { streamFromTree } from '@bablr/agast-helpers/tree';
+import { ReferenceTag, OpenNodeTag, CloseNodeTag, LiteralTag } from '@bablr/agast-helpers/symbols';
+import { canonicalURL } from './builders.js';
+
+// The handlers refer to every child as `children[]`, so ESTree properties are recovered from the
+// order of a node's children and the tokens printed between them. Redundant parentheses, commas
+// and semicolons, like lossless mode keeps, are tokens too and are skipped over.
+
+// reads tags into plain nodes, and the children of nodes into literals and nodes with offsets
+function readTags(tags) {
+  const root = { children: [] };
+  const stack = [root];
+  let ref = null;
+  let source = '';
+
+  for (const tag of tags) {
+    const parent = stack[stack.length - 1];
+
+    if (tag.type === ReferenceTag) {
+      ref = tag.value.name;
+    } else if (tag.type === OpenNodeTag) {
+      const { flags, language, type, attributes } = tag.value;
+      const start = source.length;
+      const node = { ref, flags, language, type, attributes, children: [], start, end: start };
+
+      parent.children.push(node);
+      stack.push(node);
+    } else if (tag.type === CloseNodeTag) {
+      stack.pop().end = source.length;
+    } else if (tag.type === LiteralTag) {
+      parent.children.push({ literal: tag.value });
+      source += tag.value;
+    }
+  }
+
+  return { root, source };
+}
+
+const textOf = (node) =>
+  node.children
+    .map((child) => (child.literal !== undefined ? child.literal : textOf(child)))
+    .join('');
+
+// escapes carry their cooked value, which is all that is needed to cook strings
+const cookedOf = (node) =>
+  node.children
+    .map((child) => {
+      if (child.literal !== undefined) return child.literal;
+      if (child.type === 'EscapeSequence') return child.attributes.cooked;
+      return cookedOf(child);
+    })
+    .join('');
+
+// JSX has entities instead of escapes. Named ones other than those the printer writes are rare
+const jsxEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const decodeJSXEntities = (raw) =>
+  raw.replace(/&(?:#x([\da-fA-F]+)|#(\d+)|(\w+));/g, (entity, hex, decimal, name) => {
+    const code = hex ? parseInt(hex, 16) : decimal ? parseInt(decimal, 10) : null;
+
+    if (code === null) return jsxEntities[name] || entity;
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+const isToken = (item) => item.token === true;
+
+const nodesOf = (items) => items.filter((item) => !isToken(item));
+
+const tokenIndex = (items, value, from = 0) =>
+  items.findIndex((item, i) => i >= from && isToken(item) && item.value === value);
+
+const lastTokenIndex = (items, value) =>
+  items.findLastIndex((item) => isToken(item) && item.value === value);
+
+const hasToken = (items, value) => tokenIndex(items, value) >= 0;
+
+const openers = ['(', '[', '{', '${'];
+const closers = [')', ']', '}'];
+
+// splits on separators that aren't inside brackets printed as part of the same node
+function splitItems(items, separator) {
+  const groups = [[]];
+  let depth = 0;
+
+  for (const item of items) {
+    if (isToken(item) && openers.includes(item.value)) depth++;
+    if (isToken(item) && closers.includes(item.value)) depth--;
+
+    if (depth === 0 && isToken(item) && item.value === separator) {
+      groups.push([]);
+    } else {
+      groups[groups.length - 1].push(item);
+    }
+  }
+
+  return groups;
+}
+
+const isDecorator = (node) => node.type === 'Decorator';
+
+const declarationKeywords = ['var', 'let', 'const', 'using', 'await'];
+
+// for loops print their declarations without a VariableDeclaration node
+function declarationOf(items, context) {
+  const keywords = items
+    .slice(
+      0,
+      items.findIndex((item) => !isToken(item)),
+    )
+    .filter((item) => declarationKeywords.includes(item.value));
+
+  if (!keywords.length) return nodesOf(items)[0] || null;
+
+  const kind = keywords.map((item) => item.value).join(' ');
+
+  return context.finish('VariableDeclaration', { declarations: nodesOf(items), kind }, items);
+}
+
+function addDirectives(statements, context) {
+  for (const statement of statements) {
+    const { expression } = statement;
+
+    if (
+      statement.type !== 'ExpressionStatement' ||
+      expression.type !== 'Literal' ||
+      typeof expression.value !== 'string'
+    ) {
+      break;
+    }
+
+    // a parenthesized string is only an expression, and the parentheses may be in a node of their
+    // own which doesn't survive conversion, so they are looked for in the statement's source
+    const text = context.source.slice(statement.start, statement.end);
+
+    if (!text.startsWith(expression.raw) || text.slice(expression.raw.length).includes(')')) {
+      break;
+    }
+
+    statement.directive = expression.raw.slice(1, -1);
+  }
+}
+
+function functionFields(items, context) {
+  const open = tokenIndex(items, '(');
+  const close = lastTokenIndex(items, ')');
+  const head = items.slice(0, open);
+  const body = nodesOf(items.slice(close + 1)).pop() || null;
+
+  if (body) addDirectives(body.body, context);
+
+  return {
+    id: nodesOf(head)[0] || null,
+    expression: false,
+    generator: hasToken(head, '*'),
+    async: hasToken(head, 'async'),
+    params: nodesOf(items.slice(open + 1, close)),
+    body,
+  };
+}
+
+// methods print their key and function together, without a FunctionExpression node
+function methodFields(items, context) {
+  const keyIndex = items.findIndex((item) => !isToken(item) && !isDecorator(item));
+  const head = items.slice(0, keyIndex);
+  const open = tokenIndex(items, '(', keyIndex);
+  const key = items[keyIndex];
+  const computed = hasToken(head, '[');
+  const value = context.finish(
+    'FunctionExpression',
+    { ...functionFields(items.slice(open), context), id: null, generator: hasToken(head, '*') },
+    items.slice(open),
+  );
+
+  value.async = hasToken(head, 'async');
+
+  const kind = hasToken(head, 'get') ? 'get' : hasToken(head, 'set') ? 'set' : 'method';
+
+  return { key, computed, value, kind, static: hasToken(head, 'static') };
+}
+
+const isConstructor = ({ key, computed, static: isStatic }) =>
+  !computed && !isStatic && (key.name === 'constructor' || key.value === 'constructor');
+
+function classFields(items) {
+  const nodes = nodesOf(items);
+  const decorators = nodes.filter(isDecorator);
+  const body = nodes.pop();
+  const extendsIndex = tokenIndex(items, 'extends');
+  const head = extendsIndex < 0 ? items : items.slice(0, extendsIndex);
+
+  return {
+    ...(decorators.length ? { decorators } : {}),
+    id: nodesOf(head).filter((node) => !isDecorator(node) && node !== body)[0] || null,
+    superClass: extendsIndex < 0 ? null : nodesOf(items.slice(extendsIndex + 1))[0],
+    body,
+  };
+}
+
+function propertyDefinitionFields(items) {
+  const keyIndex = items.findIndex((item) => !isToken(item) && !isDecorator(item));
+  const head = items.slice(0, keyIndex);
+  const equals = tokenIndex(items, '=', keyIndex);
+
+  return {
+    key: items[keyIndex],
+    value: equals < 0 ? null : nodesOf(items.slice(equals + 1))[0],
+    computed: hasToken(head, '['),
+    static: hasToken(head, 'static'),
+  };
+}
+
+// the items between a node's outermost brackets, split into its elements
+function elementsOf(items, open, close, separator = ',') {
+  return splitItems(
+    items.slice(tokenIndex(items, open) + 1, lastTokenIndex(items, close)),
+    separator,
+  );
+}
+
+function arrayFields(items) {
+  const groups = elementsOf(items, '[', ']');
+
+  // a trailing comma doesn't make a hole
+  if (!groups[groups.length - 1].length) groups.pop();
+
+  return { elements: groups.map((group) => nodesOf(group)[0] || null) };
+}
+
+// the first token that isn't a parenthesis
+const operatorOf = (items) =>
+  items.find((item) => isToken(item) && item.value !== '(' && item.value !== ')').value;
+
+const clone = (node) => structuredClone(node);
+
+const converters = {
+  ArrayExpression: arrayFields,
+  ArrayPattern: arrayFields,
+
+  ArrowFunctionExpression(items, context) {
+    const arrow = tokenIndex(items, '=>');
+    const body = nodesOf(items.slice(arrow + 1))[0];
+
+    if (body.type === 'BlockStatement') addDirectives(body.body, context);
+
+    return {
+      id: null,
+      expression: body.type !== 'BlockStatement',
+      generator: false,
+      async: hasToken(items.slice(0, arrow), 'async'),
+      params: nodesOf(items.slice(0, arrow)),
+      body,
+    };
+  },
+
+  AssignmentExpression: (items) => {
+    const [left, right] = nodesOf(items);
+    return { operator: operatorOf(items), left, right };
+  },
+
+  AssignmentPattern: (items) => {
+    const [left, right] = nodesOf(items).filter((node) => !isDecorator(node));
+    return { left, right };
+  },
+
+  AwaitExpression: (items) => ({ argument: nodesOf(items)[0] }),
+
+  BinaryExpression: (items) => {
+    const [left, right] = nodesOf(items);
+    return { operator: operatorOf(items), left, right };
+  },
+
+  BlockStatement: (items) => ({ body: nodesOf(items) }),
+
+  BreakStatement: (items) => ({ label: nodesOf(items)[0] || null }),
+
+  CallExpression: (items) => {
+    const [callee, ...args] = nodesOf(items);
+    return { callee, arguments: args, optional: hasToken(items, '?.') };
+  },
+
+  ChainExpression: (items) => ({ expression: nodesOf(items)[0] }),
+
+  ClassBody: (items) => ({ body: nodesOf(items) }),
+
+  ClassDeclaration: classFields,
+  ClassExpression: classFields,
+
+  ConditionalExpression: (items) => {
+    const [test, consequent, alternate] = nodesOf(items);
+    return { test, consequent, alternate };
+  },
+
+  ContinueStatement: (items) => ({ label: nodesOf(items)[0] || null }),
+
+  DebuggerStatement: () => ({}),
+
+  Decorator: (items) => ({ expression: nodesOf(items)[0] }),
+
+  DoWhileStatement: (items) => {
+    const [body, test] = nodesOf(items);
+    return { body, test };
+  },
+
+  EmptyStatement: () => ({}),
+
+  ExportAllDeclaration: (items) => {
+    const as = tokenIndex(items, 'as');
+
+    return {
+      exported: as < 0 ? null : nodesOf(items.slice(as + 1))[0],
+      source: nodesOf(items.slice(tokenIndex(items, 'from') + 1))[0],
+      attributes: nodesOf(items).filter((node) => node.type === 'ImportAttribute'),
+    };
+  },
+
+  ExportDefaultDeclaration: (items) => ({ declaration: nodesOf(items)[0] }),
+
+  ExportNamedDeclaration: (items) => {
+    if (!hasToken(items, '{')) {
+      return { declaration: nodesOf(items)[0], specifiers: [], source: null, attributes: [] };
+    }
+
+    const from = tokenIndex(items, 'from');
+
+    return {
+      declaration: null,
+      specifiers: nodesOf(items).filter((node) => node.type === 'ExportSpecifier'),
+      source: from < 0 ? null : nodesOf(items.slice(from + 1))[0],
+      attributes: nodesOf(items).filter((node) => node.type === 'ImportAttribute'),
+    };
+  },
+
+  ExportSpecifier: (items) => {
+    const [local, exported] = nodesOf(items);
+    return { local, exported: exported || clone(local) };
+  },
+
+  ExpressionStatement: (items) => ({ expression: nodesOf(items)[0] }),
+
+  ForInStatement: (items, context) => forInFields(items, context, 'in'),
+
+  ForOfStatement: (items, context) => ({
+    ...forInFields(items, context, 'of'),
+    await: hasToken(items.slice(0, tokenIndex(items, '(')), 'await'),
+  }),
+
+  ForStatement: (items, context) => {
+    const open = tokenIndex(items, '(');
+    const init = items.findIndex((item) => item.ref === 'initTerminatorToken');
+    const test = items.findIndex((item) => item.ref === 'testTerminatorToken');
+    const rest = nodesOf(items.slice(test + 1));
+    const body = rest.pop();
+
+    return {
+      init: declarationOf(items.slice(open + 1, init), context),
+      test: nodesOf(items.slice(init + 1, test))[0] || null,
+      update: rest[0] || null,
+      body,
+    };
+  },
+
+  FunctionDeclaration: functionFields,
+  FunctionExpression: functionFields,
+
+  Identifier: (items) => ({
+    name: items.find((item) => item.tokenType === 'IdentifierToken').value,
+  }),
+
+  IfStatement: (items) => {
+    const [test, consequent, alternate] = nodesOf(items);
+    return { test, consequent, alternate: alternate || null };
+  },
+
+  ImportAttribute: (items) => {
+    const [key, value] = nodesOf(items);
+    return { key, value };
+  },
+
+  ImportDeclaration: (items) => {
+    const nodes = nodesOf(items);
+
+    return {
+      specifiers: nodes.filter((node) => node.type.endsWith('Specifier')),
+      source: nodes.find((node) => node.type === 'Literal'),
+      attributes: nodes.filter((node) => node.type === 'ImportAttribute'),
+    };
+  },
+
+  ImportDefaultSpecifier: (items) => ({ local: nodesOf(items)[0] }),
+
+  ImportExpression: (items) => {
+    const [source, options] = nodesOf(items);
+    return { source, options: options || null };
+  },
+
+  ImportNamespaceSpecifier: (items) => ({ local: nodesOf(items)[0] }),
+
+  ImportSpecifier: (items) => {
+    const nodes = nodesOf(items);
+    const local = nodes[nodes.length - 1];
+    return { imported: nodes.length > 1 ? nodes[0] : clone(local), local };
+  },
+
+  JSXAttribute: (items) => {
+    const [name, value = null] = nodesOf(items);
+
+    // JSX strings are read like JS strings, but their value has entities where JS has escapes
+    if (value && value.type === 'Literal') value.value = decodeJSXEntities(value.raw.slice(1, -1));
+
+    return { name, value };
+  },
+
+  JSXClosingElement: (items) => ({ name: nodesOf(items)[0] }),
+
+  JSXClosingFragment: () => ({}),
+
+  JSXElement: (items) => {
+    const [openingElement, ...children] = nodesOf(items);
+    const closingElement = openingElement.selfClosing ? null : children.pop();
+
+    return { openingElement, children, closingElement };
+  },
+
+  JSXEmptyExpression: () => ({}),
+
+  JSXExpressionContainer: (items) => ({ expression: nodesOf(items)[0] }),
+
+  JSXFragment: (items) => {
+    const [openingFragment, ...children] = nodesOf(items);
+    const closingFragment = children.pop();
+
+    return { openingFragment, children, closingFragment };
+  },
+
+  JSXIdentifier: (items) => ({
+    name: items.find((item) => item.tokenType === 'IdentifierToken').value,
+  }),
+
+  JSXMemberExpression: (items) => {
+    const [object, property] = nodesOf(items);
+    return { object, property };
+  },
+
+  JSXNamespacedName: (items) => {
+    const [namespace, name] = nodesOf(items);
+    return { namespace, name };
+  },
+
+  JSXOpeningElement: (items) => {
+    const [name, ...attributes] = nodesOf(items);
+    return { name, attributes, selfClosing: hasToken(items, '/') };
+  },
+
+  JSXOpeningFragment: () => ({}),
+
+  JSXSpreadAttribute: (items) => ({ argument: nodesOf(items)[0] }),
+
+  JSXSpreadChild: (items) => ({ expression: nodesOf(items)[0] }),
+
+  JSXText: (items) => {
+    const raw = items.map((item) => item.value).join('');
+    return { value: decodeJSXEntities(raw), raw };
+  },
+
+  LabeledStatement: (items) => {
+    const [label, body] = nodesOf(items);
+    return { label, body };
+  },
+
+  LogicalExpression: (items) => {
+    const [left, right] = nodesOf(items);
+    return { operator: operatorOf(items), left, right };
+  },
+
+  MemberExpression: (items) => {
+    const [object, property] = nodesOf(items);
+    const after = items.slice(items.indexOf(object) + 1);
+
+    return {
+      object,
+      property,
+      computed: hasToken(after, '['),
+      optional: hasToken(after, '?.'),
+    };
+  },
+
+  MetaProperty: (items) => {
+    const [meta, property] = nodesOf(items);
+    return { meta, property };
+  },
+
+  MethodDefinition: (items, context) => {
+    const fields = methodFields(items, context);
+    const decorators = nodesOf(items).filter(isDecorator);
+
+    if (fields.kind === 'method' && isConstructor(fields)) fields.kind = 'constructor';
+
+    return { ...(decorators.length ? { decorators } : {}), ...fields };
+  },
+
+  NewExpression: (items) => {
+    const [callee, ...args] = nodesOf(items);
+    return { callee, arguments: args };
+  },
+
+  ObjectExpression: (items, context) => ({
+    properties: elementsOf(items, '{', '}')
+      .filter((group) => group.length)
+      .map((group) => {
+        if (!hasToken(group, '(')) return nodesOf(group)[0];
+
+        // methods are printed as part of the object
+        const { static: _, kind, ...fields } = methodFields(group, context);
+
+        return context.finish(
+          'Property',
+          {
+            ...fields,
+            kind: kind === 'method' ? 'init' : kind,
+            method: kind === 'method',
+            shorthand: false,
+          },
+          group,
+        );
+      }),
+  }),
+
+  ObjectPattern: (items) => ({ properties: nodesOf(items) }),
+
+  // parentheses are printed where they are needed, so the expression is used as it is
+  ParenthesizedExpression: (items) => nodesOf(items)[0],
+
+  PrivateIdentifier: (items) => ({
+    name: items.find((item) => item.tokenType === 'IdentifierToken').value,
+  }),
+
+  Program: (items, context) => {
+    const body = nodesOf(items);
+    const isModule = body.some((node) => /^(Import|Export)/.test(node.type));
+
+    addDirectives(body, context);
+
+    // the program is all of the source, with the comments and whitespace around it
+    return context.finish('Program', { body, sourceType: isModule ? 'module' : 'script' }, [
+      { start: 0, end: context.source.length },
+    ]);
+  },
+
+  Property: (items) => {
+    const nodes = nodesOf(items);
+    const value = nodes[nodes.length - 1];
+
+    if (nodes.length === 1) {
+      const key = clone(value.type === 'AssignmentPattern' ? value.left : value);
+
+      return { key, value, kind: 'init', method: false, shorthand: true, computed: false };
+    }
+
+    return {
+      key: nodes[0],
+      value,
+      kind: 'init',
+      method: false,
+      shorthand: false,
+      computed: hasToken(items.slice(0, items.indexOf(nodes[0])), '['),
+    };
+  },
+
+  PropertyDefinition: propertyDefinitionFields,
+  AccessorProperty: propertyDefinitionFields,
+
+  RestElement: (items) => ({ argument: nodesOf(items).filter((node) => !isDecorator(node))[0] }),
+
+  ReturnStatement: (items) => ({ argument: nodesOf(items)[0] || null }),
+
+  SequenceExpression: (items) => ({ expressions: nodesOf(items) }),
+
+  SpreadElement: (items) => ({ argument: nodesOf(items)[0] }),
+
+  StaticBlock: (items) => ({ body: nodesOf(items) }),
+
+  Super: () => ({}),
+
+  SwitchStatement: (items, context) => {
+    const [discriminant] = nodesOf(items);
+    const cases = [];
+    let caseItems = null;
+
+    const finishCase = () => {
+      if (!caseItems) return;
+
+      const [first, ...rest] = nodesOf(caseItems);
+      const test = caseItems[0].value === 'case' ? first : null;
+      const consequent = test ? rest : nodesOf(caseItems);
+
+      cases.push(context.finish('SwitchCase', { test, consequent }, caseItems));
+    };
+
+    // cases are printed as part of the switch, each starting with its keyword
+    for (const item of items.slice(items.indexOf(discriminant) + 1)) {
+      if (isToken(item) && (item.value === 'case' || item.value === 'default')) {
+        finishCase();
+        caseItems = [];
+      }
+
+      if (caseItems && !(isToken(item) && item.value === '}' && item === items[items.length - 1])) {
+        caseItems.push(item);
+      }
+    }
+
+    finishCase();
+
+    return { discriminant, cases };
+  },
+
+  TaggedTemplateExpression: (items) => {
+    const [tag, quasi] = nodesOf(items);
+    return { tag, quasi };
+  },
+
+  TemplateLiteral: (items, context) => {
+    const quasis = [];
+    const expressions = [];
+    let quasi = null;
+
+    // every quasi is printed, even an empty one
+    const finishQuasi = (tail) => {
+      const value = { raw: quasi.value, cooked: quasi.attributes.cooked };
+
+      quasis.push(context.finish('TemplateElement', { value, tail }, [quasi]));
+      quasi = null;
+    };
+
+    for (const item of items) {
+      if (item.tokenType === 'TemplateContent') {
+        quasi = item;
+      } else if (isToken(item) && item.value === '${') {
+        finishQuasi(false);
+      } else if (!isToken(item)) {
+        expressions.push(item);
+      }
+    }
+
+    finishQuasi(true);
+
+    return { quasis, expressions };
+  },
+
+  ThisExpression: () => ({}),
+
+  ThrowStatement: (items) => ({ argument: nodesOf(items)[0] }),
+
+  TryStatement: (items, context) => {
+    const [block] = nodesOf(items);
+    const catchIndex = tokenIndex(items, 'catch');
+    const finallyIndex = tokenIndex(items, 'finally');
+    let handler = null;
+
+    if (catchIndex >= 0) {
+      const clause = items.slice(catchIndex, finallyIndex < 0 ? items.length : finallyIndex);
+      const nodes = nodesOf(clause);
+      const param = hasToken(clause, '(') ? nodes[0] : null;
+
+      handler = context.finish('CatchClause', { param, body: nodes[nodes.length - 1] }, clause);
+    }
+
+    return {
+      block,
+      handler,
+      finalizer: finallyIndex < 0 ? null : nodesOf(items.slice(finallyIndex))[0],
+    };
+  },
+
+  UnaryExpression: (items) => ({
+    operator: operatorOf(items),
+    prefix: true,
+    argument: nodesOf(items)[0],
+  }),
+
+  UpdateExpression: (items) => {
+    const [argument] = nodesOf(items);
+    const operator = items.find((item) => item.value === '++' || item.value === '--');
+
+    return {
+      operator: operator.value,
+      prefix: items.indexOf(operator) < items.indexOf(argument),
+      argument,
+    };
+  },
+
+  VariableDeclaration: (items, context) => declarationOf(items, context),
+
+  VariableDeclarator: (items) => {
+    const [id, init] = nodesOf(items);
+    return { id, init: init || null };
+  },
+
+  WhileStatement: (items) => {
+    const [test, body] = nodesOf(items);
+    return { test, body };
+  },
+
+  WithStatement: (items) => {
+    const [object, body] = nodesOf(items);
+    return { object, body };
+  },
+
+  YieldExpression: (items) => ({
+    argument: nodesOf(items)[0] || null,
+    delegate: hasToken(items, '*'),
+  }),
+};
+
+function forInFields(items, context, keyword) {
+  const open = tokenIndex(items, '(');
+  const separator = tokenIndex(items, keyword, open);
+  const [right, body] = nodesOf(items.slice(separator + 1));
+
+  return { left: declarationOf(items.slice(open + 1, separator), context), right, body };
+}
+
+function literalFields(raw, parts) {
+  if (raw[0] === "'" || raw[0] === '"') {
+    const content = parts.find((part) => part.ref === 'content');
+    return { value: content ? cookedOf(content) : '' };
+  } else if (raw[0] === '/') {
+    const pattern = raw.slice(1, raw.lastIndexOf('/'));
+    const flags = raw.slice(raw.lastIndexOf('/') + 1);
+    let value = null;
+
+    try {
+      value = new RegExp(pattern, flags);
+    } catch (e) {
+      // like parsers do when the host doesn't support the regex
+    }
+
+    return { value, regex: { pattern, flags } };
+  } else if (raw === 'true' || raw === 'false') {
+    return { value: raw === 'true' };
+  } else if (raw === 'null') {
+    return { value: null };
+  } else if (raw.endsWith('n')) {
+    const bigint = raw.slice(0, -1).replace(/_/g, '');
+    return { value: BigInt(bigint), bigint };
+  } else {
+    const digits = raw.replace(/_/g, '');
+    // legacy octal, like 017
+    return { value: /^0[0-7]+$/.test(digits) ? parseInt(digits, 8) : Number(digits) };
+  }
+}
+
+function buildContext(source) {
+  const lineStarts = [0];
+  const comments = [];
+
+  for (const match of source.matchAll(/\r\n?|[\n\u2028\u2029]/g)) {
+    lineStarts.push(match.index + match[0].length);
+  }
+
+  const position = (offset) => {
+    const line = lineStarts.findLastIndex((start) => start <= offset);
+    return { line: line + 1, column: offset - lineStarts[line] };
+  };
+
+  // gives a node its type and the position of the items it was made from
+  const finish = (type, fields, items) => {
+    const { start } = items[0];
+    const { end } = items[items.length - 1];
+
+    return {
+      type,
+      ...fields,
+      start,
+      end,
+      range: [start, end],
+      loc: { start: position(start), end: position(end) },
+    };
+  };
+
+  return { source, comments, finish };
+}
+
+function readComment(cstNode, context) {
+  const text = textOf(cstNode);
+  const block = cstNode.type === 'BlockComment';
+  const value = block ? text.slice(2, -2) : text.slice(2);
+
+  context.comments.push(context.finish(block ? 'Block' : 'Line', { value }, [cstNode]));
+}
+
+// trivia is left out, apart from comments which are collected for the Program
+function contentOf(children, context) {
+  const content = [];
+
+  for (const child of children) {
+    if (child.literal !== undefined) continue;
+
+    if (child.ref === '#') {
+      if (child.type === 'BlockComment' || child.type === 'LineComment') {
+        readComment(child, context);
+      }
+    } else {
+      content.push(child);
+    }
+  }
+
+  return content;
+}
+
+function convert(cstNode, context) {
+  const { type } = cstNode;
+
+  if (cstNode.language !== canonicalURL) {
+    throw new Error(`Cannot convert ${type} from ${cstNode.language}`);
+  }
+
+  const content = contentOf(cstNode.children, context);
+
+  // literals are printed as the String, Number, etc. nodes they were built from
+  if (type === 'Literal') {
+    const raw = content.map(textOf).join('');
+    return context.finish(type, { ...literalFields(raw, content), raw }, content);
+  }
+
+  const converter = converters[type];
+
+  if (!converter) {
+    throw new Error(`Not implemented ${type}`);
+  }
+
+  const items = content.map((child) => {
+    if (!child.flags.token) return convert(child, context);
+
+    const { ref, type: tokenType, attributes, start, end } = child;
+
+    return { token: true, value: textOf(child), tokenType, ref, attributes, start, end };
+  });
+
+  const fields = converter(items, context);
+
+  // some nodes are printed without one of their own, and some converters build the node
+  if (fields.type) return fields;
+
+  return context.finish(type, fields, items.length ? items : [cstNode]);
+}
+
+// converts a tree printed by cstmlFromESTree back to ESTree, with positions in the printed source
+// and the comments in a list on the Program, like espree has them
+export function estreeFromCSTML(tree) {
+  const { root, source } = readTags(streamFromTree(tree));
+  const context = buildContext(source);
+  let program = null;
+
+  const visit = (children) => {
+    for (const child of contentOf(children, context)) {
+      if (child.type === 'Program') program = convert(child, context);
+      // the fragment the Program is printed in
+      else if (child.type == null) visit(child.children);
+      else throw new Error(`Expected a Program, not ${child.type}`);
+    }
+  };
+
+  visit(root.children);
+
+  if (!program) throw new Error('Expected a tree with a Program in it');
+
+  program.comments = context.comments.sort((a, b) => a.start - b.start);
+
+  return program;
+}
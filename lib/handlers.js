@@ -1,13 +1,17 @@
 // Copyright (c) 2023 [these people](https://github.com/Rich-Harris/esrap/graphs/contributors)
 
-import { re } from '@bablr/boot';
 import * as t from '@bablr/agast-helpers/shorthand';
 import { map } from '@bablr/agast-vm-helpers/iterable';
 import {
   buildNumber,
   buildString,
+  buildStringFromRaw,
+  buildTemplateContent,
+  getPreferredQuote,
+  buildJSXString,
   buildNull,
   buildBoolean,
+  buildRegex,
   canonicalURL,
   PN,
   WS,
@@ -17,33 +21,49 @@ import {
   seq,
   ref,
   buildAppend,
+  buildGroup,
+  buildIfBreak,
 } from './builders.js';
-import { expressionPrcedence, needsParens } from './precedence.js';
-import { getRoot, streamFromTree } from '@bablr/agast-helpers/tree';
+import { expressionPrcedence, needsParens, typeNeedsParens } from './precedence.js';
+import { buildSpanStart, buildSpanEnd } from './lossless.js';
+import { getStart, getEnd } from './reprint.js';
+import { streamFromTree } from '@bablr/agast-helpers/tree';
 
 const newline = { type: 'Newline' };
 const indent = { type: 'Indent' };
 const dedent = { type: 'Dedent' };
 
-function measure(commands, from, to = commands.length) {
-  let total = 0;
-  for (let i = from; i < to; i += 1) {
-    const command = commands[i];
-    if (typeof command === 'string') {
-      total += command.length;
-    } else if (command.type === 'Chunk') {
-      total += command.content.length;
-    } else if (command.type === 'Sequence') {
-      // assume this is ', '
-      total += 2;
-    }
-  }
+const jsx_entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '{': '&#123;',
+  '}': '&#125;',
+};
+
+// keeps the quote of the source unless the value contains it. A value with both quotes is printed
+// in double quotes with &quot; entities
+function get_jsx_quote(node) {
+  const quote = typeof node.raw === 'string' && node.raw[0] === "'" ? "'" : '"';
+  const other = quote === '"' ? "'" : '"';
 
-  return total;
+  if (!node.value.includes(quote)) return quote;
+  if (!node.value.includes(other)) return other;
+  return '"';
 }
 
-export function handle(node, state) {
-  const node_with_comments = node;
+const if_break = buildIfBreak;
+
+// moves the commands pushed since index into a group. Whether it fits is decided when printing,
+// so multiline is only for breaks that are forced, like by a block or a line comment
+function group(state, index, should_break) {
+  state.commands.push(buildGroup(state.commands.splice(index), should_break));
+}
+
+// a node printed in place of another, like a Flow literal type printed as a literal, passes the one
+// it replaces as `original`, whose comments, positions and link to the CST it keeps
+export function handle(node, state, original = node) {
+  const node_with_comments = original;
 
   const handler = handlers[node.type];
 
@@ -52,7 +72,17 @@ export function handle(node, state) {
   }
 
   state.commands.push(buildAppend(t.ref`children[]`));
-  state.commands.push(buildAppend(t.nodeOpen(t.nodeFlags, canonicalURL, node.type)));
+  const open_tag = t.nodeOpen(
+    t.nodeFlags,
+    canonicalURL,
+    node.type,
+    state.options.positions ? get_position_attributes(original) : undefined,
+  );
+
+  // the tag ends up in the CST node, which is how the ESTree node is found for it afterwards
+  state.estreeNodes.set(open_tag, original);
+
+  state.commands.push(buildAppend(open_tag));
   state.commands.push(buildAppend(t.ref`children[]`));
   state.commands.push(buildAppend(t.buildArrayInitializerTag()));
 
@@ -60,15 +90,43 @@ export function handle(node, state) {
     prepend_comments(node_with_comments.leadingComments, state, false);
   }
 
+  // nodes with source positions are printed as usual, then get their trivia from the source
+  const span = state.reuse && !state.reusing ? state.reuse(node) : null;
+
+  if (span) state.commands.push(buildSpanStart(span.start, span.end, span.mode));
+  if (span && span.mode === 'source') state.reusing = true;
+
   handler(node, state);
 
+  if (span) state.commands.push(buildSpanEnd());
+  if (span && span.mode === 'source') state.reusing = false;
+
   if (node_with_comments.trailingComments) {
-    state.comments.push(node_with_comments.trailingComments[0]); // there is only ever one
+    state.comments.push(...node_with_comments.trailingComments);
   }
 
   state.commands.push(buildAppend(t.nodeClose()));
 }
 
+// where the node was in the source, so that whatever points at the CST can point at the source
+function get_position_attributes(node) {
+  const attributes = {};
+  const start = getStart(node);
+  const end = getEnd(node);
+
+  if (typeof start === 'number') attributes.start = start;
+  if (typeof end === 'number') attributes.end = end;
+
+  if (node.loc) {
+    attributes.startLine = node.loc.start.line;
+    attributes.startColumn = node.loc.start.column;
+    attributes.endLine = node.loc.end.line;
+    attributes.endColumn = node.loc.end.column;
+  }
+
+  return attributes;
+}
+
 function prepend_comments(comments, state, newlines) {
   for (const comment of comments) {
     state.commands.push({ type: 'Comment', comment });
@@ -81,6 +139,48 @@ function prepend_comments(comments, state, newlines) {
   }
 }
 
+// trailing comments wait in state.comments until the next place they can go without moving code
+// onto their line, this returns true when the last of them was a line comment
+export function flush_comments(state, spaced = true) {
+  let needs_newline = false;
+
+  while (state.comments.length) {
+    const comment = state.comments.shift();
+    const gap = needs_newline ? [newline] : spaced ? [ref`#`, WS` `] : [];
+
+    spaced = true;
+    state.commands.push(...gap, {
+      type: 'Comment',
+      comment,
+    });
+    needs_newline = comment.type === 'Line';
+  }
+
+  return needs_newline;
+}
+
+// dangling comments go after everything else inside their parent
+function handle_inner_comments(node, state, first = true) {
+  if (!node.innerComments) return;
+
+  for (const comment of node.innerComments) {
+    if (!first) state.commands.push(newline);
+    first = false;
+
+    state.commands.push({ type: 'Comment', comment });
+  }
+}
+
+// empty brackets are the only thing that can hold dangling comments in objects and arrays
+function handle_empty_brackets_comments(node, items, state) {
+  if (items.length > 0 || !node.innerComments) return;
+
+  state.multiline = true;
+  state.commands.push(indent, newline);
+  handle_inner_comments(node, state);
+  state.commands.push(dedent, newline);
+}
+
 function has_call_expression(node) {
   while (node) {
     if (node.type === 'CallExpression') {
@@ -93,6 +193,225 @@ function has_call_expression(node) {
   }
 }
 
+// whether the printed expression would start with `{`, which would be read as a block
+function has_leading_object(node) {
+  while (node) {
+    if (node.type === 'ObjectExpression' || node.type === 'ObjectPattern') {
+      return true;
+    } else if (
+      node.type === 'AssignmentExpression' ||
+      node.type === 'BinaryExpression' ||
+      node.type === 'LogicalExpression'
+    ) {
+      node = node.left;
+    } else if (node.type === 'ConditionalExpression') {
+      node = node.test;
+    } else if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+      // an expression these parenthesize starts with `(` instead
+      if (needsParens(node.expression, node, false)) return false;
+      node = node.expression;
+    } else if (node.type === 'TSNonNullExpression') {
+      if (expressionPrcedence[node.expression.type] < expressionPrcedence.TSNonNullExpression) {
+        return false;
+      }
+      node = node.expression;
+    } else {
+      return false;
+    }
+  }
+}
+
+// of the literals only numbers need parentheses, so that the dot isn't read as a decimal point
+function object_needs_parens(node) {
+  if (node.type === 'Literal') return typeof node.value === 'number';
+  return expressionPrcedence[node.type] < expressionPrcedence.MemberExpression;
+}
+
+// es5 allows trailing commas in arrays, objects and imports, and later versions allow them in
+// parameters and arguments too
+function allows_trailing_comma(state, es5) {
+  const { trailingCommas } = state.options;
+
+  return trailingCommas === 'all' || (es5 && trailingCommas === 'es5');
+}
+
+// statements end with a semicolon, unless the semicolons option is off and the next one wouldn't
+// continue them without it
+function terminator(state) {
+  return state.options.semicolons || state.asi_hazard ? [ref`statementTerminatorToken`, PN`;`] : [];
+}
+
+const has_member_modifiers = (node) =>
+  !!(
+    (node.decorators && node.decorators.length) ||
+    node.declare ||
+    node.accessibility ||
+    node.static ||
+    node.abstract ||
+    node.type.startsWith('TSAbstract') ||
+    node.override ||
+    node.readonly
+  );
+
+// whether the printed statement or class member would start with a token that continues the line
+// before it when there is no semicolon, like `(` or `[`
+function starts_with_asi_hazard(node) {
+  while (node) {
+    switch (node.type) {
+      case 'ExpressionStatement':
+        if (has_leading_object(node.expression)) return true;
+        node = node.expression;
+        break;
+      case 'ArrayExpression':
+      case 'ArrayPattern':
+      case 'TemplateLiteral':
+      case 'SequenceExpression':
+      case 'JSXElement':
+      case 'JSXFragment':
+        return true;
+      case 'ArrowFunctionExpression':
+        return !node.async;
+      case 'Literal':
+        return !!node.regex || node.value instanceof RegExp;
+      case 'UnaryExpression':
+        return node.operator === '+' || node.operator === '-';
+      case 'UpdateExpression':
+        if (node.prefix) return false;
+        node = node.argument;
+        break;
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        if (needsParens(node.left, node, false)) return true;
+        node = node.left;
+        break;
+      case 'AssignmentExpression':
+        node = node.left;
+        break;
+      case 'ConditionalExpression':
+        if (!(expressionPrcedence[node.test.type] > expressionPrcedence.ConditionalExpression)) {
+          return true;
+        }
+        node = node.test;
+        break;
+      case 'MemberExpression':
+        if (object_needs_parens(node.object)) return true;
+        node = node.object;
+        break;
+      case 'CallExpression':
+        if (expressionPrcedence[node.callee.type] < expressionPrcedence.CallExpression) return true;
+        node = node.callee;
+        break;
+      case 'TaggedTemplateExpression':
+        node = node.tag;
+        break;
+      case 'ChainExpression':
+      case 'ParenthesizedExpression':
+        node = node.expression;
+        break;
+      // flow type casts are always parenthesized, and a line starting with `<` would continue the
+      // previous one as a comparison
+      case 'TypeCastExpression':
+      case 'TSTypeAssertion':
+        return true;
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+        if (needsParens(node.expression, node, false)) return true;
+        node = node.expression;
+        break;
+      case 'TSInstantiationExpression':
+      case 'TSNonNullExpression':
+        if (expressionPrcedence[node.expression.type] < expressionPrcedence[node.type]) return true;
+        node = node.expression;
+        break;
+      case 'MethodDefinition':
+        if (has_member_modifiers(node) || node.kind === 'get' || node.kind === 'set') return false;
+        return !node.value.async && (node.computed || node.value.generator);
+      case 'PropertyDefinition':
+        return !has_member_modifiers(node) && (node.computed || !!node.variance);
+      default:
+        return false;
+    }
+  }
+
+  return false;
+}
+
+// a statement followed by `else` or `while` on the same line needs its semicolon
+function handle_before_keyword(node, state) {
+  const { asi_hazard } = state;
+
+  state.asi_hazard = true;
+  handle(node, state);
+  state.asi_hazard = asi_hazard;
+}
+
+// the statements of a body are printed with whether the one after them needs their semicolon
+function statement_state(state, next) {
+  return { ...state, multiline: false, asi_hazard: !!next && starts_with_asi_hazard(next) };
+}
+
+const identifier_name_pattern = /^[A-Za-z_$][\w$]*$/;
+
+// keys like 'a-b' have to be quoted
+const needs_quotes = (property) =>
+  property.type === 'Property' &&
+  !property.computed &&
+  property.key.type === 'Literal' &&
+  typeof property.key.value === 'string' &&
+  !identifier_name_pattern.test(property.key.value);
+
+// with quoteProps set to consistent, either every key of an object is quoted or none are
+function has_quoted_keys(node, state) {
+  return state.options.quoteProps === 'consistent' && node.properties.some(needs_quotes);
+}
+
+// keys are quoted as the quoteProps option asks, when it isn't set to preserve them
+function handle_property_key(property, state) {
+  const { key } = property;
+
+  if (property.computed || state.options.quoteProps === 'preserve') {
+    handle(key, state);
+  } else if (key.type === 'Identifier' && state.quoted_keys) {
+    const { name, ...rest } = key;
+    handle({ ...rest, type: 'Literal', value: name }, state, key);
+  } else if (
+    key.type === 'Literal' &&
+    typeof key.value === 'string' &&
+    identifier_name_pattern.test(key.value) &&
+    !state.quoted_keys
+  ) {
+    const { value, raw, ...rest } = key;
+    handle({ ...rest, type: 'Identifier', name: value }, state, key);
+  } else {
+    handle(key, state);
+  }
+}
+
+// module export names can be identifiers or string literals, e.g. `export { a as "a-b" }`
+function is_same_module_export_name(a, b) {
+  return a.type === b.type && (a.type === 'Literal' ? a.value === b.value : a.name === b.name);
+}
+
+function handle_import_attributes(node, state) {
+  // `assertions` and the `assert` keyword are the deprecated form of import attributes
+  const attributes = node.attributes || node.assertions;
+
+  if (!attributes || attributes.length === 0) return;
+
+  state.commands.push(
+    ref`#`,
+    WS` `,
+    ref`children[]`,
+    KW(node.attributes ? 'with' : 'assert'),
+    ref`#`,
+    WS` `,
+    ref`children[]`,
+    PN`{`,
+  );
+  list(attributes, state, true, handle, undefined, allows_trailing_comma(state, true));
+  state.commands.push(ref`children[]`, PN`}`);
+}
+
 const grouped_expression_types = [
   'ImportDeclaration',
   'VariableDeclaration',
@@ -100,6 +419,19 @@ const grouped_expression_types = [
   'ExportNamedDeclaration',
 ];
 
+// with the blankLines option set to preserve, there is a blank line wherever the source had one
+function had_blank_line(previous, next, state) {
+  const { source } = state.options;
+  const end = getEnd(previous);
+  const start = getStart(next);
+
+  if (typeof source !== 'string' || typeof end !== 'number' || typeof start !== 'number') {
+    return null;
+  }
+
+  return /\n[^\S\n]*\n/.test(source.slice(end, start));
+}
+
 const handle_body = (nodes, state) => {
   let last_statement = {
     type: 'EmptyStatement',
@@ -107,46 +439,46 @@ const handle_body = (nodes, state) => {
   let first = true;
   let needs_margin = false;
 
-  for (const statement of nodes) {
-    if (statement.type === 'EmptyStatement') continue;
+  const statements = nodes.filter((statement) => statement.type !== 'EmptyStatement');
 
+  for (let i = 0; i < statements.length; i += 1) {
+    const statement = statements[i];
     const margin = seq();
 
     if (!first) state.commands.push(margin, newline);
-    first = false;
 
     const statement_with_comments = statement;
     const leading_comments = statement_with_comments.leadingComments;
     delete statement_with_comments.leadingComments;
 
-    if (leading_comments && leading_comments.length > 0) {
-      prepend_comments(leading_comments, state, true);
-    }
+    const has_leading_comments = leading_comments && leading_comments.length > 0;
+    const blank_line =
+      !first && state.options.blankLines === 'preserve'
+        ? had_blank_line(
+            last_statement,
+            has_leading_comments ? leading_comments[0] : statement,
+            state,
+          )
+        : null;
+    first = false;
 
-    const child_state = { ...state, multiline: false };
+    if (has_leading_comments) prepend_comments(leading_comments, state, true);
+
+    const child_state = statement_state(state, statements[i + 1]);
     handle(statement, child_state);
 
     if (
-      child_state.multiline ||
-      needs_margin ||
-      ((grouped_expression_types.includes(statement.type) ||
-        grouped_expression_types.includes(last_statement.type)) &&
-        last_statement.type !== statement.type)
+      blank_line ??
+      (child_state.multiline ||
+        needs_margin ||
+        ((grouped_expression_types.includes(statement.type) ||
+          grouped_expression_types.includes(last_statement.type)) &&
+          last_statement.type !== statement.type))
     ) {
-      margin.children.push(ref`#`, WS`\n`);
+      margin.children.push(ref`#`, WS(state.options.lineEnding));
     }
 
-    let add_newline = false;
-
-    while (state.comments.length) {
-      const comment = state.comments.shift();
-
-      state.commands.push(...(add_newline ? [newline] : [ref`#`, WS` `]), {
-        type: 'Comment',
-        comment,
-      });
-      add_newline = comment.type === 'Line';
-    }
+    flush_comments(state);
 
     needs_margin = child_state.multiline;
     last_statement = statement;
@@ -155,45 +487,56 @@ const handle_body = (nodes, state) => {
 
 const handle_var_declaration = (node, state) => {
   const index = state.commands.length;
+  const several = node.declarations.length > 1;
 
-  const open = seq();
-  const join = seq();
   const child_state = { ...state, multiline: false };
 
-  state.commands.push(ref`children[]`, KW(node.kind), ref`#`, WS` `, open);
+  if (node.kind === 'await using') {
+    state.commands.push(ref`children[]`, KW`await`, ref`#`, WS` `, ref`children[]`, KW`using`);
+  } else {
+    state.commands.push(ref`children[]`, KW(node.kind));
+  }
+
+  state.commands.push(ref`#`, WS` `);
+  if (several) state.commands.push(if_break([indent]));
 
   let first = true;
 
   for (const d of node.declarations) {
-    if (!first) state.commands.push(join);
+    if (!first) {
+      state.commands.push(
+        ref`separators[]`,
+        ref`children[]`,
+        PN`,`,
+        if_break([newline], [ref`#`, WS` `]),
+      );
+    }
     first = false;
 
     handle(d, child_state);
   }
 
-  const multiline =
-    child_state.multiline || (node.declarations.length > 1 && measure(state.commands, index) > 50);
+  if (child_state.multiline) state.multiline = true;
 
-  if (multiline) {
-    state.multiline = true;
-    if (node.declarations.length > 1) open.children.push(indent);
-    join.children.push(ref`separators[]`, ref`children[]`, PN`,`, newline);
-    if (node.declarations.length > 1) state.commands.push(dedent);
-  } else {
-    join.children.push(ref`separators[]`, ref`children[]`, PN`,`, ref`#`, WS` `);
+  if (several) {
+    state.commands.push(if_break([dedent]));
+    group(state, index, child_state.multiline);
   }
 };
 
-function list(nodes, state, spaces, fn, separator = [ref`children[]`, PN`,`]) {
+// `trailing` is whether the list can have a trailing comma, see allows_trailing_comma
+function list(nodes, state, spaces, fn, separator = [ref`children[]`, PN`,`], trailing = false) {
   if (nodes.length === 0) return;
 
   const index = state.commands.length;
 
-  const open = seq();
-  const join = seq();
-  const close = seq();
+  const final = nodes[nodes.length - 1];
+
+  const join = if_break([newline], [ref`#`, WS` `]);
+  // a comma after a rest element is a syntax error
+  const last = trailing && final && final.type !== 'RestElement' ? if_break(separator) : seq();
 
-  state.commands.push(open);
+  state.commands.push(if_break([indent, newline], spaces ? [ref`#`, WS` `] : []));
 
   const child_state = { ...state, multiline: false };
 
@@ -213,16 +556,14 @@ function list(nodes, state, spaces, fn, separator = [ref`children[]`, PN`,`]) {
 
       if (!is_last) {
         state.commands.push(...separator);
+      } else if (trailing) {
+        // before any comments, which would otherwise comment it out
+        state.commands.push(last);
       }
 
       if (state.comments.length > 0) {
-        state.commands.push(ref`#`, WS` `);
-
-        while (state.comments.length) {
-          const comment = state.comments.shift();
-          state.commands.push({ type: 'Comment', comment });
-          if (!is_last) state.commands.push(join);
-        }
+        flush_comments(state);
+        if (!is_last) state.commands.push(join);
 
         child_state.multiline = true;
       } else {
@@ -238,21 +579,121 @@ function list(nodes, state, spaces, fn, separator = [ref`children[]`, PN`,`]) {
     prev = node;
   }
 
-  state.commands.push(close);
+  state.commands.push(if_break([dedent, newline], spaces ? [ref`#`, WS` `] : []));
 
-  const multiline = child_state.multiline || measure(state.commands, index) > 50;
+  if (child_state.multiline) state.multiline = true;
 
-  if (multiline) {
-    state.multiline = true;
+  group(state, index, child_state.multiline);
+}
+
+// quasis are appended as literal tags, so Indent commands never reach newlines inside them
+function handle_template_quasi(quasi, state) {
+  const { raw } = quasi.value;
+
+  state.commands.push(
+    ref`children[]`,
+    ...map(buildAppend, streamFromTree(buildTemplateContent(raw))),
+  );
+  if (/\n/.test(raw)) state.multiline = true;
+}
+
+// parameters and class expressions keep their decorators inline
+function handle_decorators(node, state, newlines) {
+  if (!node.decorators) return;
+
+  for (const decorator of node.decorators) {
+    handle(decorator, state);
+    state.commands.push(...(newlines ? [newline] : [ref`#`, WS` `]));
+  }
+
+  if (newlines && node.decorators.length) state.multiline = true;
+}
+
+// decorators only allow a member chain, optionally called, without parentheses
+function is_simple_decorator_expression(node) {
+  if (node.type === 'CallExpression') node = node.callee;
+
+  while (node.type === 'MemberExpression' && !node.computed) {
+    node = node.object;
+  }
+
+  return node.type === 'Identifier';
+}
+
+// modifiers are printed in the order prettier uses, which typescript accepts
+function handle_member_modifiers(node, state) {
+  if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+
+  if (node.accessibility) {
+    state.commands.push(ref`children[]`, KW(node.accessibility), ref`#`, WS` `);
+  }
+
+  if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+
+  if (node.abstract || node.type.startsWith('TSAbstract')) {
+    state.commands.push(ref`children[]`, KW`abstract`, ref`#`, WS` `);
+  }
+
+  if (node.override) state.commands.push(ref`children[]`, KW`override`, ref`#`, WS` `);
+  if (node.readonly) state.commands.push(ref`children[]`, KW`readonly`, ref`#`, WS` `);
+}
+
+function handle_type_operand(node, state, precedence) {
+  if (typeNeedsParens(node, precedence)) {
+    state.commands.push(ref`children[]`, PN`(`);
+    handle_type_annotation(node, state);
+    state.commands.push(ref`children[]`, PN`)`);
+  } else {
+    handle_type_annotation(node, state);
+  }
+}
+
+function handle_mapped_type_modifier(modifier, state) {
+  if (modifier === '+' || modifier === '-') {
+    state.commands.push(ref`children[]`, PN(modifier));
+  }
+}
+
+function handle_signature(node, state) {
+  const type_parameters = node.typeParameters;
+  const params = node.params || node.parameters;
+  const return_type = node.returnType || node.typeAnnotation;
+
+  if (type_parameters) handle_type_annotation(type_parameters, state);
+
+  state.commands.push(ref`children[]`, PN`(`);
+  list(params, state, false, handle);
+  state.commands.push(ref`children[]`, PN`)`);
+
+  return return_type;
+}
+
+// Flow function types are written `(x: T) => R` on their own and `(x: T): R` as methods
+function handle_flow_function_type(node, state, arrow) {
+  if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+
+  const params = [...(node.this ? [node.this] : []), ...node.params];
+  if (node.rest) params.push(node.rest);
+
+  state.commands.push(ref`children[]`, PN`(`);
+  list(params, state, false, (param, state) => {
+    if (param === node.this && !param.name) {
+      state.commands.push(ref`children[]`, KW`this`, ref`children[]`, PN`:`, ref`#`, WS` `);
+    } else if (param === node.rest) {
+      state.commands.push(ref`children[]`, PN`...`);
+    }
+
+    handle_type_annotation(param, state);
+  });
+  state.commands.push(ref`children[]`, PN`)`);
 
-    open.children.push(indent, newline);
-    join.children.push(newline);
-    close.children.push(dedent, newline);
+  if (arrow) {
+    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=>`, ref`#`, WS` `);
   } else {
-    if (spaces) open.children.push(ref`#`, WS` `);
-    join.children.push(ref`#`, WS` `);
-    if (spaces) close.children.push(ref`#`, WS` `);
+    state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
   }
+
+  handle_type_annotation(node.returnType, state);
 }
 
 function handle_type_annotation(node, state) {
@@ -278,8 +719,29 @@ function handle_type_annotation(node, state) {
     case 'TSNeverKeyword':
       state.commands.push(ref`children[]`, KW`never`);
       break;
+    case 'TSObjectKeyword':
+      state.commands.push(ref`children[]`, KW`object`);
+      break;
+    case 'TSSymbolKeyword':
+      state.commands.push(ref`children[]`, KW`symbol`);
+      break;
+    case 'TSBigIntKeyword':
+      state.commands.push(ref`children[]`, KW`bigint`);
+      break;
+    case 'TSUndefinedKeyword':
+      state.commands.push(ref`children[]`, KW`undefined`);
+      break;
+    case 'TSNullKeyword':
+      state.commands.push(ref`children[]`, KW`null`);
+      break;
+    case 'TSIntrinsicKeyword':
+      state.commands.push(ref`children[]`, KW`intrinsic`);
+      break;
+    case 'TSThisType':
+      state.commands.push(ref`children[]`, KW`this`);
+      break;
     case 'TSArrayType':
-      handle_type_annotation(node.elementType, state);
+      handle_type_operand(node.elementType, state, 5);
       state.commands.push(ref`children[]`, PN`[]`);
       break;
     case 'TSTypeAnnotation':
@@ -294,16 +756,62 @@ function handle_type_annotation(node, state) {
       ]);
       state.commands.push(ref`#`, WS` `, ref`children[]`, PN`}`);
       break;
+    case 'TSMappedType': {
+      // older parsers nest the key and constraint in a type parameter
+      const key = node.key || node.typeParameter.name;
+      const constraint = node.constraint || node.typeParameter.constraint;
+
+      state.commands.push(ref`children[]`, PN`{`, ref`#`, WS` `);
+
+      if (node.readonly) {
+        handle_mapped_type_modifier(node.readonly, state);
+        state.commands.push(ref`children[]`, KW`readonly`, ref`#`, WS` `);
+      }
+
+      state.commands.push(ref`children[]`, PN`[`);
+      if (typeof key === 'string') {
+        state.commands.push(ref`children[]`, ID(key));
+      } else {
+        handle(key, state);
+      }
+      state.commands.push(ref`#`, WS` `, ref`children[]`, KW`in`, ref`#`, WS` `);
+      handle_type_annotation(constraint, state);
+
+      if (node.nameType) {
+        state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
+        handle_type_annotation(node.nameType, state);
+      }
+
+      state.commands.push(ref`children[]`, PN`]`);
+
+      if (node.optional) {
+        handle_mapped_type_modifier(node.optional, state);
+        state.commands.push(ref`children[]`, PN`?`);
+      }
+
+      if (node.typeAnnotation) {
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+        handle_type_annotation(node.typeAnnotation, state);
+      }
+
+      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`}`);
+      break;
+    }
     case 'TSPropertySignature':
+      if (node.readonly) state.commands.push(ref`children[]`, KW`readonly`, ref`#`, WS` `);
+      if (node.computed) state.commands.push(ref`children[]`, PN`[`);
       handle(node.key, state);
+      if (node.computed) state.commands.push(ref`children[]`, PN`]`);
       if (node.optional) state.commands.push(ref`children[]`, PN`?`);
       if (node.typeAnnotation) handle_type_annotation(node.typeAnnotation, state);
       break;
-    case 'TSTypeReference':
+    case 'TSTypeReference': {
       handle(node.typeName, state);
 
-      if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+      const type_arguments = node.typeArguments || node.typeParameters;
+      if (type_arguments) handle_type_annotation(type_arguments, state);
       break;
+    }
     case 'TSTypeParameterInstantiation':
     case 'TSTypeParameterDeclaration':
       state.commands.push(ref`children[]`, PN`<`);
@@ -315,16 +823,105 @@ function handle_type_annotation(node, state) {
       state.commands.push(ref`children[]`, PN`>`);
       break;
     case 'TSTypeParameter':
-      state.commands.push(node.name);
+      if (node.const) state.commands.push(ref`children[]`, KW`const`, ref`#`, WS` `);
+      if (node.in) state.commands.push(ref`children[]`, KW`in`, ref`#`, WS` `);
+      if (node.out) state.commands.push(ref`children[]`, KW`out`, ref`#`, WS` `);
+
+      if (typeof node.name === 'string') {
+        state.commands.push(ref`children[]`, ID(node.name));
+      } else {
+        handle(node.name, state);
+      }
 
       if (node.constraint) {
         state.commands.push(ref`#`, WS` `, ref`children[]`, KW`extends`, ref`#`, WS` `);
         handle_type_annotation(node.constraint, state);
       }
+
+      if (node.default) {
+        state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+        handle_type_annotation(node.default, state);
+      }
       break;
-    case 'TSTypeQuery':
+    case 'TSTypeQuery': {
       state.commands.push(ref`children[]`, KW`typeof`, ref`#`, WS` `);
-      handle(node.exprName, state);
+
+      if (node.exprName.type === 'TSImportType') {
+        handle_type_annotation(node.exprName, state);
+      } else {
+        handle(node.exprName, state);
+      }
+
+      const type_arguments = node.typeArguments || node.typeParameters;
+      if (type_arguments) handle_type_annotation(type_arguments, state);
+      break;
+    }
+    case 'TSTypeOperator':
+      state.commands.push(ref`children[]`, KW(node.operator), ref`#`, WS` `);
+      handle_type_operand(node.typeAnnotation, state, 4);
+      break;
+    case 'TSIndexedAccessType':
+      handle_type_operand(node.objectType, state, 5);
+      state.commands.push(ref`children[]`, PN`[`);
+      handle_type_annotation(node.indexType, state);
+      state.commands.push(ref`children[]`, PN`]`);
+      break;
+    case 'TSInferType':
+      state.commands.push(ref`children[]`, KW`infer`, ref`#`, WS` `);
+      handle_type_annotation(node.typeParameter, state);
+      break;
+    case 'TSTemplateLiteralType': {
+      const { quasis, types } = node;
+
+      state.commands.push(ref`children[]`, PN('`'));
+
+      for (let i = 0; i < types.length; i++) {
+        handle_template_quasi(quasis[i], state);
+        state.commands.push(ref`children[]`, PN('${'));
+        handle_type_annotation(types[i], state);
+        state.commands.push(ref`children[]`, PN`}`);
+      }
+
+      handle_template_quasi(quasis[quasis.length - 1], state);
+      state.commands.push(ref`children[]`, PN('`'));
+      break;
+    }
+    case 'TSImportType': {
+      // older parsers call these `parameter`, `typeParameters`, and set `isTypeOf`
+      const argument = node.argument || node.parameter;
+      const type_arguments = node.typeArguments || node.typeParameters;
+
+      if (node.isTypeOf) state.commands.push(ref`children[]`, KW`typeof`, ref`#`, WS` `);
+
+      state.commands.push(ref`children[]`, KW`import`, ref`children[]`, PN`(`);
+      if (argument.type === 'Literal') {
+        handle(argument, state);
+      } else {
+        handle_type_annotation(argument, state);
+      }
+      state.commands.push(ref`children[]`, PN`)`);
+
+      if (node.qualifier) {
+        state.commands.push(ref`children[]`, PN`.`);
+        handle(node.qualifier, state);
+      }
+
+      if (type_arguments) handle_type_annotation(type_arguments, state);
+      break;
+    }
+    case 'TSTypePredicate':
+      if (node.asserts) state.commands.push(ref`children[]`, KW`asserts`, ref`#`, WS` `);
+
+      if (node.parameterName.type === 'TSThisType') {
+        handle_type_annotation(node.parameterName, state);
+      } else {
+        handle(node.parameterName, state);
+      }
+
+      if (node.typeAnnotation) {
+        state.commands.push(ref`#`, WS` `, ref`children[]`, KW`is`, ref`#`, WS` `);
+        handle_type_annotation(node.typeAnnotation.typeAnnotation, state);
+      }
       break;
     case 'TSEnumMember':
       handle(node.id, state);
@@ -334,26 +931,34 @@ function handle_type_annotation(node, state) {
       }
       break;
     case 'TSFunctionType':
-      if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+    case 'TSConstructorType': {
+      if (node.type === 'TSConstructorType') {
+        if (node.abstract) state.commands.push(ref`children[]`, KW`abstract`, ref`#`, WS` `);
+        state.commands.push(ref`children[]`, KW`new`, ref`#`, WS` `);
+      }
 
-      const parameters = node.parameters;
-      state.commands.push(ref`children[]`, PN`(`);
-      list(parameters, state, false, handle);
+      const return_type = handle_signature(node, state);
 
-      state.commands.push(
-        ref`children[]`,
-        PN`)`,
-        ref`#`,
-        WS` `,
-        ref`children[]`,
-        PN`=>`,
-        ref`#`,
-        WS` `,
-      );
+      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=>`, ref`#`, WS` `);
 
-      handle_type_annotation(node.typeAnnotation.typeAnnotation, state);
+      handle_type_annotation(return_type.typeAnnotation, state);
+      break;
+    }
+    case 'TSCallSignatureDeclaration':
+    case 'TSConstructSignatureDeclaration': {
+      if (node.type === 'TSConstructSignatureDeclaration') {
+        state.commands.push(ref`children[]`, KW`new`, ref`#`, WS` `);
+      }
+
+      const return_type = handle_signature(node, state);
+
+      if (return_type) handle_type_annotation(return_type, state);
       break;
+    }
     case 'TSIndexSignature':
+      if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+      if (node.readonly) state.commands.push(ref`children[]`, KW`readonly`, ref`#`, WS` `);
+
       const indexParameters = node.parameters;
       state.commands.push(ref`children[]`, PN`[`);
       list(indexParameters, state, false, handle);
@@ -361,19 +966,30 @@ function handle_type_annotation(node, state) {
 
       handle_type_annotation(node.typeAnnotation, state);
       break;
-    case 'TSMethodSignature':
+    case 'TSMethodSignature': {
+      if (node.kind === 'get' || node.kind === 'set') {
+        state.commands.push(ref`children[]`, KW(node.kind), ref`#`, WS` `);
+      }
+
+      if (node.computed) state.commands.push(ref`children[]`, PN`[`);
       handle(node.key, state);
+      if (node.computed) state.commands.push(ref`children[]`, PN`]`);
+      if (node.optional) state.commands.push(ref`children[]`, PN`?`);
 
-      const parametersSignature = node.parameters;
-      state.commands.push(ref`children[]`, PN`(`);
-      list(parametersSignature, state, false, handle);
-      state.commands.push(ref`children[]`, PN`)`);
+      const return_type = handle_signature(node, state);
 
-      handle_type_annotation(node.typeAnnotation, state);
+      if (return_type) handle_type_annotation(return_type, state);
       break;
+    }
     case 'TSExpressionWithTypeArguments':
+    case 'TSInterfaceHeritage':
+    case 'TSClassImplements': {
       handle(node.expression, state);
+
+      const type_arguments = node.typeArguments || node.typeParameters;
+      if (type_arguments) handle_type_annotation(type_arguments, state);
       break;
+    }
     case 'TSTupleType':
       state.commands.push(ref`children[]`, PN`[`);
       list(node.elementTypes, state, false, handle_type_annotation);
@@ -381,12 +997,26 @@ function handle_type_annotation(node, state) {
       break;
     case 'TSNamedTupleMember':
       handle(node.label, state);
+      if (node.optional) state.commands.push(ref`children[]`, PN`?`);
       state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
       handle_type_annotation(node.elementType, state);
 
+      break;
+    case 'TSOptionalType':
+      handle_type_operand(node.typeAnnotation, state, 5);
+      state.commands.push(ref`children[]`, PN`?`);
+      break;
+    case 'TSRestType':
+      state.commands.push(ref`children[]`, PN`...`);
+      handle_type_operand(node.typeAnnotation, state, 5);
+      break;
+    case 'TSParenthesizedType':
+      state.commands.push(ref`children[]`, PN`(`);
+      handle_type_annotation(node.typeAnnotation, state);
+      state.commands.push(ref`children[]`, PN`)`);
       break;
     case 'TSUnionType':
-      list(node.types, state, false, handle_type_annotation, [
+      list(node.types, state, false, (type, state) => handle_type_operand(type, state, 2), [
         ref`#`,
         WS` `,
         ref`children[]`,
@@ -394,7 +1024,7 @@ function handle_type_annotation(node, state) {
       ]);
       break;
     case 'TSIntersectionType':
-      list(node.types, state, false, handle_type_annotation, [
+      list(node.types, state, false, (type, state) => handle_type_operand(type, state, 3), [
         ref`#`,
         WS` `,
         ref`children[]`,
@@ -405,23 +1035,275 @@ function handle_type_annotation(node, state) {
       handle(node.literal, state);
       break;
     case 'TSConditionalType':
-      handle_type_annotation(node.checkType, state);
+      handle_type_operand(node.checkType, state, 2);
       state.commands.push(ref`#`, WS` `, ref`children[]`, KW`extends`, ref`#`, WS` `);
-      handle_type_annotation(node.extendsType, state);
+      handle_type_operand(node.extendsType, state, 2);
       state.commands.push(ref`#`, WS` `, ref`children[]`, PN`?`, ref`#`, WS` `);
       handle_type_annotation(node.trueType, state);
       state.commands.push(ref`#`, WS` `, ref`children[]`, PN`:`, ref`#`, WS` `);
       handle_type_annotation(node.falseType, state);
       break;
-    default:
-      throw new Error(`Not implemented type annotation ${node.type}`);
-  }
+    // Flow
+    case 'TypeAnnotation':
+      state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      handle_type_annotation(node.typeAnnotation, state);
+      break;
+    case 'AnyTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`any`);
+      break;
+    case 'MixedTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`mixed`);
+      break;
+    case 'EmptyTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`empty`);
+      break;
+    case 'VoidTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`void`);
+      break;
+    case 'NullLiteralTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`null`);
+      break;
+    case 'NumberTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`number`);
+      break;
+    case 'StringTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`string`);
+      break;
+    case 'BooleanTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`boolean`);
+      break;
+    case 'SymbolTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`symbol`);
+      break;
+    case 'BigIntTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`bigint`);
+      break;
+    case 'ExistsTypeAnnotation':
+      state.commands.push(ref`children[]`, PN`*`);
+      break;
+    case 'StringLiteralTypeAnnotation':
+    case 'NumberLiteralTypeAnnotation':
+    case 'BooleanLiteralTypeAnnotation':
+    case 'BigIntLiteralTypeAnnotation':
+      handle(
+        { type: 'Literal', value: node.value, raw: node.raw, bigint: node.bigint },
+        state,
+        node,
+      );
+      break;
+    case 'NullableTypeAnnotation':
+      state.commands.push(ref`children[]`, PN`?`);
+      handle_type_operand(node.typeAnnotation, state, 4);
+      break;
+    case 'ArrayTypeAnnotation':
+      handle_type_operand(node.elementType, state, 5);
+      state.commands.push(ref`children[]`, PN`[]`);
+      break;
+    case 'TupleTypeAnnotation':
+      state.commands.push(ref`children[]`, PN`[`);
+      list(node.elementTypes || node.types, state, false, handle_type_annotation);
+      state.commands.push(ref`children[]`, PN`]`);
+      break;
+    case 'TupleTypeLabeledElement':
+      if (node.variance) handle_type_annotation(node.variance, state);
+      handle(node.label, state);
+      if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+      state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      handle_type_annotation(node.elementType, state);
+      break;
+    case 'TupleTypeSpreadElement':
+      state.commands.push(ref`children[]`, PN`...`);
+      if (node.label) {
+        handle(node.label, state);
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      }
+      handle_type_annotation(node.typeAnnotation, state);
+      break;
+    case 'UnionTypeAnnotation':
+      list(node.types, state, false, (type, state) => handle_type_operand(type, state, 2), [
+        ref`#`,
+        WS` `,
+        ref`children[]`,
+        PN`|`,
+      ]);
+      break;
+    case 'IntersectionTypeAnnotation':
+      list(node.types, state, false, (type, state) => handle_type_operand(type, state, 3), [
+        ref`#`,
+        WS` `,
+        ref`children[]`,
+        PN`&`,
+      ]);
+      break;
+    case 'TypeofTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`typeof`, ref`#`, WS` `);
+
+      // older versions of flow-parser wrap the argument in a GenericTypeAnnotation
+      if (node.argument.type === 'GenericTypeAnnotation') {
+        handle_type_annotation(node.argument, state);
+      } else {
+        handle(node.argument, state);
+      }
+      break;
+    case 'KeyofTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`keyof`, ref`#`, WS` `);
+      handle_type_operand(node.argument, state, 4);
+      break;
+    case 'GenericTypeAnnotation':
+    case 'InterfaceExtends':
+    case 'ClassImplements':
+      handle(node.id, state);
+      if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+      break;
+    case 'IndexedAccessType':
+    case 'OptionalIndexedAccessType':
+      handle_type_operand(node.objectType, state, 5);
+      if (node.optional) state.commands.push(ref`children[]`, PN`?.`);
+      state.commands.push(ref`children[]`, PN`[`);
+      handle_type_annotation(node.indexType, state);
+      state.commands.push(ref`children[]`, PN`]`);
+      break;
+    case 'FunctionTypeAnnotation':
+      handle_flow_function_type(node, state, true);
+      break;
+    case 'FunctionTypeParam':
+      if (node.name) {
+        handle(node.name, state);
+        if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      }
+      handle_type_annotation(node.typeAnnotation, state);
+      break;
+    case 'InterfaceTypeAnnotation':
+      state.commands.push(ref`children[]`, KW`interface`, ref`#`, WS` `);
+      if (node.extends && node.extends.length) {
+        state.commands.push(ref`children[]`, KW`extends`, ref`#`, WS` `);
+        list(node.extends, state, false, handle_type_annotation);
+        state.commands.push(ref`#`, WS` `);
+      }
+      handle_type_annotation(node.body, state);
+      break;
+    case 'ObjectTypeAnnotation': {
+      // members are stored by kind, so use their locations to recover the order they were written in
+      const members = [
+        ...node.properties,
+        ...(node.indexers || []),
+        ...(node.callProperties || []),
+        ...(node.internalSlots || []),
+      ].sort((a, b) => (a.range ? a.range[0] - b.range[0] : a.start - b.start));
+      const ellipsis = {};
+
+      state.commands.push(ref`children[]`, PN(node.exact ? '{|' : '{'));
+      list(node.inexact ? [...members, ellipsis] : members, state, true, (member, state) => {
+        if (member === ellipsis) {
+          state.commands.push(ref`children[]`, PN`...`);
+        } else {
+          handle_type_annotation(member, state);
+        }
+      });
+      state.commands.push(ref`children[]`, PN(node.exact ? '|}' : '}'));
+      break;
+    }
+    case 'ObjectTypeProperty': {
+      const is_accessor = node.kind === 'get' || node.kind === 'set';
+
+      if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+      if (node.proto) state.commands.push(ref`children[]`, KW`proto`, ref`#`, WS` `);
+      if (is_accessor) state.commands.push(ref`children[]`, KW(node.kind), ref`#`, WS` `);
+      if (node.variance) handle_type_annotation(node.variance, state);
+
+      handle(node.key, state);
+
+      if (node.method || is_accessor) {
+        handle_flow_function_type(node.value, state, false);
+      } else {
+        if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+        handle_type_annotation(node.value, state);
+      }
+      break;
+    }
+    case 'ObjectTypeIndexer':
+      if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+      if (node.variance) handle_type_annotation(node.variance, state);
+
+      state.commands.push(ref`children[]`, PN`[`);
+      if (node.id) {
+        handle(node.id, state);
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      }
+      handle_type_annotation(node.key, state);
+      state.commands.push(ref`children[]`, PN`]`, ref`children[]`, PN`:`, ref`#`, WS` `);
+      handle_type_annotation(node.value, state);
+      break;
+    case 'ObjectTypeCallProperty':
+      if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+      handle_flow_function_type(node.value, state, false);
+      break;
+    case 'ObjectTypeInternalSlot':
+      if (node.static) state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+
+      state.commands.push(ref`children[]`, PN`[[`);
+      handle(node.id, state);
+      state.commands.push(ref`children[]`, PN`]]`);
+
+      if (node.method) {
+        handle_flow_function_type(node.value, state, false);
+      } else {
+        if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+        state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+        handle_type_annotation(node.value, state);
+      }
+      break;
+    case 'ObjectTypeSpreadProperty':
+      state.commands.push(ref`children[]`, PN`...`);
+      handle_type_annotation(node.argument, state);
+      break;
+    case 'Variance':
+      state.commands.push(ref`children[]`, PN(node.kind === 'plus' ? '+' : '-'));
+      break;
+    case 'TypeParameterDeclaration':
+    case 'TypeParameterInstantiation':
+      state.commands.push(ref`children[]`, PN`<`);
+      list(node.params, state, false, handle_type_annotation);
+      state.commands.push(ref`children[]`, PN`>`);
+      break;
+    case 'TypeParameter':
+      if (node.variance) handle_type_annotation(node.variance, state);
+      state.commands.push(ref`children[]`, ID(node.name));
+      if (node.bound) handle_type_annotation(node.bound, state);
+
+      if (node.default) {
+        state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+        handle_type_annotation(node.default, state);
+      }
+      break;
+    case 'InferredPredicate':
+      state.commands.push(ref`children[]`, PN`%`, ref`children[]`, KW`checks`);
+      break;
+    case 'DeclaredPredicate':
+      state.commands.push(
+        ref`children[]`,
+        PN`%`,
+        ref`children[]`,
+        KW`checks`,
+        ref`children[]`,
+        PN`(`,
+      );
+      handle(node.value, state);
+      state.commands.push(ref`children[]`, PN`)`);
+      break;
+    default:
+      throw new Error(`Not implemented type annotation ${node.type}`);
+  }
 }
 
 const shared = {
   'ArrayExpression|ArrayPattern': (node, state) => {
+    handle_decorators(node, state, false);
     state.commands.push(ref`children[]`, PN`[`);
-    list(node.elements, state, false, handle);
+    list(node.elements, state, false, handle, undefined, allows_trailing_comma(state, true));
+    handle_empty_brackets_comments(node, node.elements, state);
     state.commands.push(ref`children[]`, PN`]`);
   },
 
@@ -452,8 +1334,8 @@ const shared = {
     }
   },
 
-  'BlockStatement|ClassBody': (node, state) => {
-    if (node.body.length === 0) {
+  'BlockStatement|ClassBody|TSModuleBlock': (node, state) => {
+    if (node.body.length === 0 && !node.innerComments) {
       state.commands.push(ref`children[]`, PN`{`, ref`children[]`, PN`}`);
       return;
     }
@@ -462,6 +1344,7 @@ const shared = {
 
     state.commands.push(ref`children[]`, PN`{`, indent, newline);
     handle_body(node.body, state);
+    handle_inner_comments(node, state, node.body.length === 0);
     state.commands.push(dedent, newline, ref`children[]`, PN`}`);
   },
 
@@ -486,13 +1369,19 @@ const shared = {
       state.commands.push(ref`children[]`, PN`?.`);
     }
 
-    if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+    const type_arguments = node.typeArguments || node.typeParameters;
+    if (type_arguments) handle_type_annotation(type_arguments, state);
+
+    const index = state.commands.length;
 
-    const open = seq();
-    const join = seq();
-    const close = seq();
+    const join = seq(
+      ref`separators[]`,
+      ref`children[]`,
+      PN`,`,
+      if_break([newline], [ref`#`, WS` `]),
+    );
 
-    state.commands.push(ref`children[]`, PN`(`, open);
+    state.commands.push(ref`children[]`, PN`(`, if_break([indent, newline]));
 
     // if the final argument is multiline, it doesn't need to force all the
     // other arguments to also be multiline
@@ -526,45 +1415,123 @@ const shared = {
       handle(p, i === node.arguments.length - 1 ? final_state : child_state);
     }
 
-    state.commands.push(close, ref`children[]`, PN`)`);
+    // before any comments, like in list()
+    if (node.arguments.length > 0 && allows_trailing_comma(state, false)) {
+      state.commands.push(if_break([ref`separators[]`, ref`children[]`, PN`,`]));
+    }
+
+    if (flush_comments(state)) child_state.multiline = true;
 
-    const multiline = child_state.multiline;
+    state.commands.push(if_break([dedent, newline]), ref`children[]`, PN`)`);
 
-    if (multiline || final_state.multiline) {
+    if (child_state.multiline || final_state.multiline) {
       state.multiline = true;
     }
 
-    if (multiline) {
-      open.children.push(indent, newline);
-      join.children.push(ref`separators[]`, ref`children[]`, PN`,`, newline);
-      close.children.push(dedent, newline);
-    } else {
-      join.children.push(ref`separators[]`, ref`children[]`, PN`,`, ref`#`, WS` `);
-    }
+    group(state, index, child_state.multiline);
   },
 
   'ClassDeclaration|ClassExpression': (node, state) => {
+    handle_decorators(node, state, node.type === 'ClassDeclaration');
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    if (node.abstract) state.commands.push(ref`children[]`, KW`abstract`, ref`#`, WS` `);
     state.commands.push(ref`children[]`, KW`class`, ref`#`, WS` `);
 
     if (node.id) {
       handle(node.id, state);
+      if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
       state.commands.push(ref`#`, WS` `);
     }
 
     if (node.superClass) {
       state.commands.push(ref`children[]`, KW`extends`, ref`#`, WS` `);
       handle(node.superClass, state);
+
+      const super_type_arguments = node.superTypeArguments || node.superTypeParameters;
+      if (super_type_arguments) handle_type_annotation(super_type_arguments, state);
+
       state.commands.push(ref`#`, WS` `);
     }
 
-    if (node.implements) {
-      state.commands.push(ref`children[]`, KW`implements`, ref`children[]`, PN` `);
+    if (node.implements && node.implements.length) {
+      state.commands.push(ref`children[]`, KW`implements`, ref`#`, WS` `);
       list(node.implements, state, false, handle_type_annotation);
+      state.commands.push(ref`#`, WS` `);
     }
 
     handle(node.body, state);
   },
 
+  'DeclareClass|DeclareInterface|InterfaceDeclaration': (node, state) => {
+    if (node.type !== 'InterfaceDeclaration' && !state.in_declare_export) {
+      state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    }
+
+    state.commands.push(
+      ref`children[]`,
+      KW(node.type === 'DeclareClass' ? 'class' : 'interface'),
+      ref`#`,
+      WS` `,
+    );
+    handle(node.id, state);
+    if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+    state.commands.push(ref`#`, WS` `);
+
+    for (const keyword of ['extends', 'mixins', 'implements']) {
+      if (node[keyword] && node[keyword].length) {
+        state.commands.push(ref`children[]`, KW(keyword), ref`#`, WS` `);
+        list(node[keyword], state, false, handle_type_annotation);
+        state.commands.push(ref`#`, WS` `);
+      }
+    }
+
+    handle_type_annotation(node.body, state);
+  },
+
+  'DeclareOpaqueType|OpaqueType': (node, state) => {
+    if (node.type === 'DeclareOpaqueType' && !state.in_declare_export) {
+      state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    }
+
+    state.commands.push(
+      ref`children[]`,
+      KW`opaque`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      KW`type`,
+      ref`#`,
+      WS` `,
+    );
+    handle(node.id, state);
+    if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+
+    if (node.supertype) {
+      state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      handle_type_annotation(node.supertype, state);
+    }
+
+    if (node.impltype) {
+      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+      handle_type_annotation(node.impltype, state);
+    }
+
+    state.commands.push(...terminator(state));
+  },
+
+  'DeclareTypeAlias|TypeAlias': (node, state) => {
+    if (node.type === 'DeclareTypeAlias' && !state.in_declare_export) {
+      state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    }
+
+    state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
+    handle(node.id, state);
+    if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+    handle_type_annotation(node.right, state);
+    state.commands.push(...terminator(state));
+  },
+
   'ForInStatement|ForOfStatement': (node, state) => {
     state.commands.push(ref`children[]`, KW`for`, ref`#`, WS` `);
     if (node.type === 'ForOfStatement' && node.await)
@@ -587,7 +1554,8 @@ const shared = {
     handle(node.body, state);
   },
 
-  'FunctionDeclaration|FunctionExpression': (node, state) => {
+  'FunctionDeclaration|FunctionExpression|TSDeclareFunction': (node, state) => {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
     if (node.async) state.commands.push(ref`children[]`, KW`async`, ref`children[]`, PN` `);
     state.commands.push(
       ...(node.generator
@@ -601,17 +1569,124 @@ const shared = {
     }
 
     state.commands.push(ref`children[]`, PN`(`);
-    list(node.params, state, false, handle);
+    list(node.params, state, false, handle, undefined, allows_trailing_comma(state, false));
     state.commands.push(ref`children[]`, PN`)`);
 
     if (node.returnType) handle_type_annotation(node.returnType, state);
 
+    if (node.predicate) {
+      state.commands.push(ref`#`, WS` `);
+      handle_type_annotation(node.predicate, state);
+    }
+
+    if (!node.body) {
+      // an overload or ambient declaration
+      state.commands.push(...terminator(state));
+      return;
+    }
+
     state.commands.push(ref`#`, WS` `);
 
     handle(node.body, state);
   },
 
+  'JSXElement|JSXFragment': (node, state) => {
+    const is_element = node.type === 'JSXElement';
+
+    handle(is_element ? node.openingElement : node.openingFragment, state);
+
+    // JSXText carries its own whitespace, so children are printed exactly as they are
+    for (const child of node.children) {
+      handle(child, state);
+    }
+
+    const closing = is_element ? node.closingElement : node.closingFragment;
+
+    if (closing) handle(closing, state);
+  },
+
+  'MethodDefinition|TSAbstractMethodDefinition': (node, state) => {
+    handle_decorators(node, state, true);
+
+    handle_member_modifiers(node, state);
+
+    if (node.kind === 'get' || node.kind === 'set') {
+      // Getter or setter
+      state.commands.push(ref`children[]`, KW(node.kind), ref`#`, WS` `);
+    }
+
+    if (node.value.async) {
+      state.commands.push(ref`children[]`, KW`async`, ref`#`, WS` `);
+    }
+
+    if (node.value.generator) {
+      state.commands.push(ref`children[]`, PN`*`);
+    }
+
+    if (node.computed) state.commands.push(ref`children[]`, PN`[`);
+    handle(node.key, state);
+    if (node.computed) state.commands.push(ref`children[]`, PN`]`);
+
+    if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+
+    if (node.value.typeParameters) handle_type_annotation(node.value.typeParameters, state);
+
+    state.commands.push(ref`children[]`, PN`(`);
+    list(node.value.params, state, false, handle, undefined, allows_trailing_comma(state, false));
+    state.commands.push(ref`children[]`, PN`)`);
+
+    if (node.value.returnType) handle_type_annotation(node.value.returnType, state);
+
+    if (node.value.body) {
+      state.commands.push(ref`#`, WS` `);
+      handle(node.value.body, state);
+    } else {
+      // an abstract method or an overload
+      state.commands.push(...terminator(state));
+    }
+  },
+
+  'AccessorProperty|PropertyDefinition|TSAbstractAccessorProperty|TSAbstractPropertyDefinition': (
+    node,
+    state,
+  ) => {
+    handle_decorators(node, state, true);
+
+    handle_member_modifiers(node, state);
+
+    if (node.type.endsWith('AccessorProperty')) {
+      state.commands.push(ref`children[]`, KW`accessor`, ref`#`, WS` `);
+    }
+
+    if (node.variance) handle_type_annotation(node.variance, state);
+
+    if (node.computed) {
+      state.commands.push(ref`children[]`, PN`[`);
+      handle(node.key, state);
+      state.commands.push(ref`children[]`, PN`]`);
+    } else {
+      handle(node.key, state);
+    }
+
+    if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+    if (node.definite) state.commands.push(ref`children[]`, PN`!`);
+
+    if (node.typeAnnotation) {
+      state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+      handle_type_annotation(node.typeAnnotation.typeAnnotation, state);
+    }
+
+    if (node.value) {
+      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+
+      handle(node.value, state);
+    }
+
+    state.commands.push(...terminator(state));
+  },
+
   'RestElement|SpreadElement': (node, state) => {
+    handle_decorators(node, state, false);
     state.commands.push(ref`children[]`, PN`...`);
     handle(node.argument, state);
 
@@ -620,6 +1695,11 @@ const shared = {
 };
 
 const handlers = {
+  AccessorProperty:
+    shared[
+      'AccessorProperty|PropertyDefinition|TSAbstractAccessorProperty|TSAbstractPropertyDefinition'
+    ],
+
   ArrayExpression: shared['ArrayExpression|ArrayPattern'],
 
   ArrayPattern: shared['ArrayExpression|ArrayPattern'],
@@ -627,25 +1707,17 @@ const handlers = {
   ArrowFunctionExpression: (node, state) => {
     if (node.async) state.commands.push(ref`children[]`, KW`async`, ref`#`, WS` `);
 
+    if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
+
     state.commands.push(ref`children[]`, PN`(`);
-    list(node.params, state, false, handle);
-    state.commands.push(
-      ref`children[]`,
-      PN`)`,
-      ref`#`,
-      WS` `,
-      ref`children[]`,
-      PN`=>`,
-      ref`#`,
-      WS` `,
-    );
+    list(node.params, state, false, handle, undefined, allows_trailing_comma(state, false));
+    state.commands.push(ref`children[]`, PN`)`);
 
-    if (
-      node.body.type === 'ObjectExpression' ||
-      (node.body.type === 'AssignmentExpression' && node.body.left.type === 'ObjectPattern') ||
-      (node.body.type === 'LogicalExpression' && node.body.left.type === 'ObjectExpression') ||
-      (node.body.type === 'ConditionalExpression' && node.body.test.type === 'ObjectExpression')
-    ) {
+    if (node.returnType) handle_type_annotation(node.returnType, state);
+
+    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=>`, ref`#`, WS` `);
+
+    if (has_leading_object(node.body)) {
       state.commands.push(ref`children[]`, PN`(`);
       handle(node.body, state);
       state.commands.push(ref`children[]`, PN`)`);
@@ -661,6 +1733,7 @@ const handlers = {
   },
 
   AssignmentPattern(node, state) {
+    handle_decorators(node, state, false);
     handle(node.left, state);
     state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
     handle(node.right, state);
@@ -685,15 +1758,15 @@ const handlers = {
 
   BinaryExpression: shared['BinaryExpression|LogicalExpression'],
 
-  BlockStatement: shared['BlockStatement|ClassBody'],
+  BlockStatement: shared['BlockStatement|ClassBody|TSModuleBlock'],
 
   BreakStatement(node, state) {
     if (node.label) {
       state.commands.push(ref`children[]`, KW`break`, ref`#`, WS` `);
       handle(node.label, state);
-      state.commands.push(ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(...terminator(state));
     } else {
-      state.commands.push(ref`children[]`, KW`break`, ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(ref`children[]`, KW`break`, ...terminator(state));
     }
   },
 
@@ -703,13 +1776,15 @@ const handlers = {
     handle(node.expression, state);
   },
 
-  ClassBody: shared['BlockStatement|ClassBody'],
+  ClassBody: shared['BlockStatement|ClassBody|TSModuleBlock'],
 
   ClassDeclaration: shared['ClassDeclaration|ClassExpression'],
 
   ClassExpression: shared['ClassDeclaration|ClassExpression'],
 
   ConditionalExpression(node, state) {
+    const index = state.commands.length;
+
     if (expressionPrcedence[node.test.type] > expressionPrcedence.ConditionalExpression) {
       handle(node.test, state);
     } else {
@@ -718,79 +1793,185 @@ const handlers = {
       state.commands.push(ref`children[]`, PN`)`);
     }
 
-    const if_true = seq();
-    const if_false = seq();
-
     const child_state = { ...state, multiline: false };
 
-    state.commands.push(if_true);
+    state.commands.push(
+      if_break([indent, newline], [ref`#`, WS` `]),
+      ref`children[]`,
+      PN`?`,
+      ref`#`,
+      WS` `,
+    );
     handle(node.consequent, child_state);
-    state.commands.push(if_false);
+    state.commands.push(
+      if_break([newline], [ref`#`, WS` `]),
+      ref`children[]`,
+      PN`:`,
+      ref`#`,
+      WS` `,
+    );
     handle(node.alternate, child_state);
+    state.commands.push(if_break([dedent]));
 
-    const multiline = child_state.multiline;
-
-    if (multiline) {
-      if_true.children.push(indent, newline, ref`children[]`, PN`?`, ref`#`, WS` `);
-      if_false.children.push(newline, ref`children[]`, PN`:`, ref`#`, WS` `);
-      state.commands.push(dedent);
-    } else {
-      if_true.children.push(ref`#`, WS` `, ref`children[]`, PN`?`, ref`#`, WS` `);
-      if_false.children.push(ref`#`, WS` `, ref`children[]`, PN`:`, ref`#`, WS` `);
-    }
+    group(state, index, child_state.multiline);
   },
 
   ContinueStatement(node, state) {
     if (node.label) {
       state.commands.push(ref`children[]`, KW`continue`, ref`#`, WS` `);
       handle(node.label, state);
-      state.commands.push(ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(...terminator(state));
     } else {
-      state.commands.push(ref`children[]`, KW`continue`, ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(ref`children[]`, KW`continue`, ...terminator(state));
     }
   },
 
   DebuggerStatement(node, state) {
-    state.commands.push(ref`children[]`, KW`debugger`, ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(ref`children[]`, KW`debugger`, ...terminator(state));
   },
 
-  Decorator(node, state) {
-    state.commands.push(ref`children[]`, PN`@`);
-    handle(node.expression, state);
-    state.commands.push(newline);
+  DeclareClass: shared['DeclareClass|DeclareInterface|InterfaceDeclaration'],
+
+  DeclareExportAllDeclaration(node, state) {
+    state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    handlers.ExportAllDeclaration(node, state);
   },
 
-  DoWhileStatement(node, state) {
-    state.commands.push(ref`children[]`, KW`do`, ref`#`, WS` `);
-    handle(node.body, state);
-    state.commands.push(ref`#`, WS` `, ref`children[]`, KW`while`, ref`children[]`, PN`(`);
-    handle(node.test, state);
-    state.commands.push(ref`children[]`, PN`)`, ref`statementTerminatorToken`, PN`;`);
+  DeclareExportDeclaration(node, state) {
+    state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+
+    if (!node.declaration) {
+      handlers.ExportNamedDeclaration(node, state);
+      return;
+    }
+
+    state.commands.push(ref`children[]`, KW`export`, ref`#`, WS` `);
+    if (node.default) state.commands.push(ref`children[]`, KW`default`, ref`#`, WS` `);
+
+    if (handlers[node.declaration.type]) {
+      handle(node.declaration, { ...state, in_declare_export: true });
+    } else {
+      // `declare export default T;`
+      handle_type_annotation(node.declaration, state);
+      state.commands.push(...terminator(state));
+    }
   },
 
-  EmptyStatement(node, state) {
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+  DeclareFunction(node, state) {
+    if (!state.in_declare_export) {
+      state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    }
+
+    state.commands.push(
+      ref`children[]`,
+      KW`function`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      ID(node.id.name),
+    );
+    handle_flow_function_type(node.id.typeAnnotation.typeAnnotation, state, false);
+
+    if (node.predicate) {
+      state.commands.push(ref`#`, WS` `);
+      handle_type_annotation(node.predicate, state);
+    }
+
+    state.commands.push(...terminator(state));
   },
 
-  ExportAllDeclaration(node, state) {
+  DeclareInterface: shared['DeclareClass|DeclareInterface|InterfaceDeclaration'],
+
+  DeclareModule(node, state) {
     state.commands.push(
       ref`children[]`,
-      KW`export`,
+      KW`declare`,
       ref`#`,
       WS` `,
       ref`children[]`,
-      PN`*`,
+      KW`module`,
       ref`#`,
       WS` `,
+    );
+    handle(node.id, state);
+    state.commands.push(ref`#`, WS` `);
+    handle(node.body, state);
+  },
+
+  DeclareModuleExports(node, state) {
+    state.commands.push(
       ref`children[]`,
-      KW`from`,
+      KW`declare`,
       ref`#`,
       WS` `,
+      ref`children[]`,
+      KW`module`,
+      ref`children[]`,
+      PN`.`,
+      ref`children[]`,
+      KW`exports`,
     );
-    handle(node.source, state);
+    handle_type_annotation(node.typeAnnotation, state);
+    state.commands.push(...terminator(state));
+  },
+
+  DeclareOpaqueType: shared['DeclareOpaqueType|OpaqueType'],
+
+  DeclareTypeAlias: shared['DeclareTypeAlias|TypeAlias'],
+
+  DeclareVariable(node, state) {
+    if (!state.in_declare_export) {
+      state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    }
+
+    state.commands.push(ref`children[]`, KW(node.kind || 'var'), ref`#`, WS` `);
+    handle(node.id, state);
+    state.commands.push(...terminator(state));
+  },
+
+  Decorator(node, state) {
+    state.commands.push(ref`children[]`, PN`@`);
+
+    if (is_simple_decorator_expression(node.expression)) {
+      handle(node.expression, state);
+    } else {
+      state.commands.push(ref`children[]`, PN`(`);
+      handle(node.expression, state);
+      state.commands.push(ref`children[]`, PN`)`);
+    }
+  },
+
+  DoWhileStatement(node, state) {
+    state.commands.push(ref`children[]`, KW`do`, ref`#`, WS` `);
+    handle_before_keyword(node.body, state);
+
+    const gap = flush_comments(state) ? [newline] : [ref`#`, WS` `];
+    state.commands.push(...gap, ref`children[]`, KW`while`, ref`children[]`, PN`(`);
+    handle(node.test, state);
+    state.commands.push(ref`children[]`, PN`)`, ...terminator(state));
+  },
+
+  EmptyStatement(node, state) {
     state.commands.push(ref`statementTerminatorToken`, PN`;`);
   },
 
+  ExportAllDeclaration(node, state) {
+    state.commands.push(ref`children[]`, KW`export`, ref`#`, WS` `);
+    if (node.exportKind === 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
+    state.commands.push(ref`children[]`, PN`*`, ref`#`, WS` `);
+
+    if (node.exported) {
+      state.commands.push(ref`children[]`, KW`as`, ref`#`, WS` `);
+      handle(node.exported, state);
+      state.commands.push(ref`#`, WS` `);
+    }
+
+    state.commands.push(ref`children[]`, KW`from`, ref`#`, WS` `);
+    handle(node.source, state);
+    handle_import_attributes(node, state);
+    state.commands.push(...terminator(state));
+  },
+
   ExportDefaultDeclaration(node, state) {
     state.commands.push(
       ref`children[]`,
@@ -805,8 +1986,11 @@ const handlers = {
 
     handle(node.declaration, state);
 
-    if (node.declaration.type !== 'FunctionDeclaration') {
-      state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    if (
+      node.declaration.type !== 'FunctionDeclaration' &&
+      node.declaration.type !== 'TSDeclareFunction'
+    ) {
+      state.commands.push(...terminator(state));
     }
   },
 
@@ -818,40 +2002,42 @@ const handlers = {
       return;
     }
 
-    state.commands.push(ref`children[]`, PN`{`);
-    list(node.specifiers, state, true, (s, state) => {
-      handle(s.local, state);
+    if (node.exportKind === 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
 
-      if (s.local.name !== s.exported.name) {
-        state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
-        handle(s.exported, state);
-      }
-    });
+    state.commands.push(ref`children[]`, PN`{`);
+    list(node.specifiers, state, true, handle, undefined, allows_trailing_comma(state, true));
     state.commands.push(ref`children[]`, PN`}`);
 
     if (node.source) {
       state.commands.push(ref`#`, WS` `, ref`children[]`, KW`from`, ref`#`, WS` `);
       handle(node.source, state);
+      handle_import_attributes(node, state);
     }
 
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(...terminator(state));
+  },
+
+  ExportSpecifier(node, state) {
+    if (node.exportKind === 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
+    handle(node.local, state);
+
+    if (!is_same_module_export_name(node.local, node.exported)) {
+      state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
+      handle(node.exported, state);
+    }
   },
 
   ExpressionStatement(node, state) {
-    if (
-      node.expression.type === 'ObjectExpression' ||
-      (node.expression.type === 'AssignmentExpression' &&
-        node.expression.left.type === 'ObjectPattern')
-    ) {
-      // is an AssignmentExpression to an ObjectPattern
+    if (has_leading_object(node.expression)) {
+      // e.g. an AssignmentExpression to an ObjectPattern
       state.commands.push(ref`children[]`, PN`(`);
       handle(node.expression, state);
-      state.commands.push(ref`children[]`, PN`)`, ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(ref`children[]`, PN`)`, ...terminator(state));
       return;
     }
 
     handle(node.expression, state);
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(...terminator(state));
   },
 
   ForStatement: (node, state) => {
@@ -878,14 +2064,17 @@ const handlers = {
 
   ForOfStatement: shared['ForInStatement|ForOfStatement'],
 
-  FunctionDeclaration: shared['FunctionDeclaration|FunctionExpression'],
+  FunctionDeclaration: shared['FunctionDeclaration|FunctionExpression|TSDeclareFunction'],
 
-  FunctionExpression: shared['FunctionDeclaration|FunctionExpression'],
+  FunctionExpression: shared['FunctionDeclaration|FunctionExpression|TSDeclareFunction'],
 
   Identifier(node, state) {
+    handle_decorators(node, state, false);
     let name = node.name;
     state.commands.push(ref`children[]`, ID(name));
 
+    if (node.optional) state.commands.push(ref`children[]`, PN`?`);
+
     if (node.typeAnnotation) handle_type_annotation(node.typeAnnotation, state);
   },
 
@@ -893,19 +2082,27 @@ const handlers = {
     state.commands.push(ref`children[]`, KW`if`, ref`#`, WS` `, ref`children[]`, PN`(`);
     handle(node.test, state);
     state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `);
-    handle(node.consequent, state);
 
     if (node.alternate) {
-      state.commands.push(ref`#`, WS` `, ref`children[]`, KW`else`, ref`#`, WS` `);
+      handle_before_keyword(node.consequent, state);
+
+      const gap = flush_comments(state) ? [newline] : [ref`#`, WS` `];
+      state.commands.push(...gap, ref`children[]`, KW`else`, ref`#`, WS` `);
       handle(node.alternate, state);
+    } else {
+      handle(node.consequent, state);
     }
   },
 
   ImportDeclaration(node, state) {
+    state.commands.push(ref`children[]`, KW`import`, ref`#`, WS` `);
+
+    if (node.phase) state.commands.push(ref`children[]`, KW(node.phase), ref`#`, WS` `);
+
     if (node.specifiers.length === 0) {
-      state.commands.push(ref`children[]`, KW`import`, ref`#`, WS` `);
       handle(node.source, state);
-      state.commands.push(ref`statementTerminatorToken`, PN`;`);
+      handle_import_attributes(node, state);
+      state.commands.push(...terminator(state));
       return;
     }
 
@@ -925,53 +2122,195 @@ const handlers = {
       }
     }
 
-    state.commands.push(ref`children[]`, KW`import`, ref`#`, WS` `);
-    if (node.importKind == 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
+    if (node.importKind === 'type' || node.importKind === 'typeof') {
+      state.commands.push(ref`children[]`, KW(node.importKind), ref`#`, WS` `);
+    }
+
+    if (default_specifier) {
+      handle(default_specifier, state);
+      if (namespace_specifier || named_specifiers.length > 0)
+        state.commands.push(ref`separators[]`, ref`children[]`, PN`,`, ref`#`, WS` `);
+    }
+
+    if (namespace_specifier) {
+      handle(namespace_specifier, state);
+    }
+
+    if (named_specifiers.length > 0) {
+      state.commands.push(ref`children[]`, PN`{`);
+      list(named_specifiers, state, true, handle, undefined, allows_trailing_comma(state, true));
+      state.commands.push(ref`children[]`, PN`}`);
+    }
+
+    state.commands.push(ref`#`, WS` `, ref`children[]`, KW`from`, ref`#`, WS` `);
+    handle(node.source, state);
+    handle_import_attributes(node, state);
+    state.commands.push(...terminator(state));
+  },
+
+  ImportAttribute(node, state) {
+    handle(node.key, state);
+    state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
+    handle(node.value, state);
+  },
+
+  ImportDefaultSpecifier(node, state) {
+    handle(node.local, state);
+  },
+
+  ImportExpression(node, state) {
+    state.commands.push(ref`children[]`, KW`import`);
+
+    if (node.phase) {
+      state.commands.push(ref`children[]`, PN`.`, ref`children[]`, KW(node.phase));
+    }
+
+    state.commands.push(ref`children[]`, PN`(`);
+    handle(node.source, state);
+
+    if (node.options) {
+      state.commands.push(ref`separators[]`, ref`children[]`, PN`,`, ref`#`, WS` `);
+      handle(node.options, state);
+    }
+
+    state.commands.push(ref`children[]`, PN`)`);
+  },
+
+  ImportNamespaceSpecifier(node, state) {
+    state.commands.push(
+      ref`children[]`,
+      PN`*`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      KW`as`,
+      ref`#`,
+      WS` `,
+    );
+    handle(node.local, state);
+  },
+
+  ImportSpecifier(node, state) {
+    if (node.importKind === 'type' || node.importKind === 'typeof') {
+      state.commands.push(ref`children[]`, KW(node.importKind), ref`#`, WS` `);
+    }
+
+    if (!is_same_module_export_name(node.imported, node.local)) {
+      handle(node.imported, state);
+      state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
+    }
+
+    handle(node.local, state);
+  },
+
+  InterfaceDeclaration: shared['DeclareClass|DeclareInterface|InterfaceDeclaration'],
+
+  JSXAttribute(node, state) {
+    handle(node.name, state);
+
+    if (node.value) {
+      state.commands.push(ref`children[]`, PN`=`);
+      handle(
+        node.value,
+        node.value.type === 'Literal' ? { ...state, in_jsx_attribute: true } : state,
+      );
+    }
+  },
+
+  JSXClosingElement(node, state) {
+    state.commands.push(ref`children[]`, PN`<`, ref`children[]`, PN`/`);
+    handle(node.name, state);
+    state.commands.push(ref`children[]`, PN`>`);
+  },
+
+  JSXClosingFragment(node, state) {
+    state.commands.push(ref`children[]`, PN`<`, ref`children[]`, PN`/`, ref`children[]`, PN`>`);
+  },
+
+  JSXElement: shared['JSXElement|JSXFragment'],
+
+  JSXEmptyExpression(node, state) {
+    if (node.innerComments) {
+      for (const comment of node.innerComments) {
+        state.commands.push({ type: 'Comment', comment });
+        if (comment.type === 'Line') state.commands.push(newline);
+      }
+    }
+  },
+
+  JSXExpressionContainer(node, state) {
+    state.commands.push(ref`children[]`, PN`{`);
+    handle(node.expression, state);
+
+    // the only place comments from an empty expression can go is inside its braces
+    if (node.expression.type === 'JSXEmptyExpression' && flush_comments(state, false)) {
+      state.commands.push(newline);
+    }
+
+    state.commands.push(ref`children[]`, PN`}`);
+  },
+
+  JSXFragment: shared['JSXElement|JSXFragment'],
+
+  JSXIdentifier(node, state) {
+    state.commands.push(ref`children[]`, ID(node.name));
+  },
+
+  JSXMemberExpression(node, state) {
+    handle(node.object, state);
+    state.commands.push(ref`children[]`, PN`.`);
+    handle(node.property, state);
+  },
 
-    if (default_specifier) {
-      state.commands.push(default_specifier.local.name);
-      if (namespace_specifier || named_specifiers.length > 0)
-        state.commands.push(ref`separators[]`, ref`children[]`, PN`,`, ref`#`, WS` `);
+  JSXNamespacedName(node, state) {
+    handle(node.namespace, state);
+    state.commands.push(ref`children[]`, PN`:`);
+    handle(node.name, state);
+  },
+
+  JSXOpeningElement(node, state) {
+    state.commands.push(ref`children[]`, PN`<`);
+    handle(node.name, state);
+
+    const type_arguments = node.typeArguments || node.typeParameters;
+    if (type_arguments) handle_type_annotation(type_arguments, state);
+
+    for (const attribute of node.attributes) {
+      state.commands.push(ref`#`, WS` `);
+      handle(attribute, state);
     }
 
-    if (namespace_specifier) {
-      state.commands.push(
-        ref`children[]`,
-        PN`*`,
-        ref`#`,
-        WS` `,
-        ref`children[]`,
-        KW`as`,
-        ref`#`,
-        WS` `,
-        ref`children[]`,
-        ID(namespace_specifier.local.name),
-      );
+    if (node.selfClosing) {
+      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`/`);
     }
 
-    if (named_specifiers.length > 0) {
-      state.commands.push(ref`children[]`, PN`{`);
-      list(named_specifiers, state, true, (s, state) => {
-        if (s.local.name !== s.imported.name) {
-          handle(s.imported, state);
-          state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
-        }
+    state.commands.push(ref`children[]`, PN`>`);
+  },
 
-        if (s.importKind == 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
-        handle(s.local, state);
-      });
-      state.commands.push(ref`children[]`, PN`}`);
-    }
+  JSXOpeningFragment(node, state) {
+    state.commands.push(ref`children[]`, PN`<`, ref`children[]`, PN`>`);
+  },
 
-    state.commands.push(ref`#`, WS` `, ref`children[]`, KW`from`, ref`#`, WS` `);
-    handle(node.source, state);
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+  JSXSpreadAttribute(node, state) {
+    state.commands.push(ref`children[]`, PN`{`, ref`children[]`, PN`...`);
+    handle(node.argument, state);
+    state.commands.push(ref`children[]`, PN`}`);
   },
 
-  ImportExpression(node, state) {
-    state.commands.push(ref`children[]`, KW`import`, ref`children[]`, PN`(`);
-    handle(node.source, state);
-    state.commands.push(ref`children[]`, PN`)`);
+  JSXSpreadChild(node, state) {
+    state.commands.push(ref`children[]`, PN`{`, ref`children[]`, PN`...`);
+    handle(node.expression, state);
+    state.commands.push(ref`children[]`, PN`}`);
+  },
+
+  JSXText(node, state) {
+    // prefer raw so that entities like &nbsp; survive the round trip
+    const raw =
+      node.raw != null ? node.raw : node.value.replace(/[&<>{}]/g, (c) => jsx_entities[c]);
+
+    state.commands.push(ref`children[]`, LIT(raw));
+
+    if (/\n/.test(raw)) state.multiline = true;
   },
 
   LabeledStatement(node, state) {
@@ -986,14 +2325,38 @@ const handlers = {
 
     let cstNode;
 
-    if (typeof node.value === 'string') {
-      cstNode = buildString(node.value);
+    // reused source has to keep its spellings, but a changed literal may still have its old raw
+    const raw =
+      (state.options.preserveRaw || state.reusing) && typeof node.raw === 'string'
+        ? node.raw
+        : null;
+
+    if (node.regex) {
+      // value is null when the host can't construct the regex, and JSON ASTs never have one
+      cstNode = buildRegex(node.regex.pattern, node.regex.flags);
+    } else if (node.value instanceof RegExp) {
+      cstNode = buildRegex(node.value.source, node.value.flags);
+    } else if (node.bigint != null || typeof node.value === 'bigint') {
+      // when BigInt is unavailable value is null, but bigint always has the digits
+      const digits = typeof node.value === 'bigint' ? String(node.value) : node.bigint;
+      cstNode = buildNumber(node.value, raw || `${digits}n`);
+    } else if (typeof node.value === 'string' && state.in_jsx_attribute && raw) {
+      // JSX strings have no escapes, so only the raw spelling keeps entities like &nbsp;
+      cstNode = buildJSXString(raw.slice(1, -1), raw[0]);
+    } else if (typeof node.value === 'string' && state.in_jsx_attribute) {
+      const quote = get_jsx_quote(node);
+      const value = node.value
+        .replace(/[&<>{}]/g, (c) => jsx_entities[c])
+        .replace(/"/g, (c) => (quote === c ? '&quot;' : c));
+      cstNode = buildJSXString(value, quote);
+    } else if (typeof node.value === 'string' && raw) {
+      cstNode = buildStringFromRaw(raw);
+    } else if (typeof node.value === 'string') {
+      cstNode = buildString(node.value, getPreferredQuote(node.value, state.options.quotes));
     } else if (typeof node.value === 'number') {
-      cstNode = buildNumber(node.value);
+      cstNode = buildNumber(node.value, raw);
     } else if (typeof node.value === 'boolean') {
       cstNode = buildBoolean(node.value);
-    } else if (node.value instanceof RegExp) {
-      cstNode = getRoot(re({ raw: [node.value.toString()] }));
     } else if (node.value === null) {
       cstNode = buildNull();
     } else {
@@ -1010,7 +2373,7 @@ const handlers = {
   LogicalExpression: shared['BinaryExpression|LogicalExpression'],
 
   MemberExpression(node, state) {
-    if (expressionPrcedence[node.object.type] < expressionPrcedence.MemberExpression) {
+    if (object_needs_parens(node.object)) {
       state.commands.push(ref`children[]`, PN`(`);
       handle(node.object, state);
       state.commands.push(ref`children[]`, PN`)`);
@@ -1039,80 +2402,74 @@ const handlers = {
     handle(node.property, state);
   },
 
-  MethodDefinition(node, state) {
-    if (node.decorators) {
-      for (const decorator of node.decorators) {
-        handle(decorator, state);
-      }
-    }
-
-    if (node.static) {
-      state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
-    }
-
-    if (node.kind === 'get' || node.kind === 'set') {
-      // Getter or setter
-      state.commands.push(ref`children[]`, KW(node.kind), ref`#`, WS` `);
-    }
-
-    if (node.value.async) {
-      state.commands.push(ref`children[]`, KW`async`, ref`#`, WS` `);
-    }
-
-    if (node.value.generator) {
-      state.commands.push(ref`children[]`, PN`*`);
-    }
-
-    if (node.computed) state.commands.push(ref`children[]`, PN`[`);
-    handle(node.key, state);
-    if (node.computed) state.commands.push(ref`children[]`, PN`]`);
-
-    state.commands.push(ref`children[]`, PN`(`);
-    list(node.value.params, state, false, handle);
-    state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `);
-
-    if (node.value.body) handle(node.value.body, state);
-  },
+  MethodDefinition: shared['MethodDefinition|TSAbstractMethodDefinition'],
 
   NewExpression: shared['CallExpression|NewExpression'],
 
   ObjectExpression(node, state) {
+    const quoted_keys = state.quoted_keys;
+    state.quoted_keys = has_quoted_keys(node, state);
+
     state.commands.push(ref`children[]`, PN`{`);
-    list(node.properties, state, true, (p, state) => {
-      if (p.type === 'Property' && p.value.type === 'FunctionExpression') {
-        const fn = p.value;
+    list(
+      node.properties,
+      state,
+      true,
+      (p, state) => {
+        if (p.type === 'Property' && p.value.type === 'FunctionExpression') {
+          const fn = p.value;
+
+          // the property isn't passed to handle, so its comments are printed here
+          if (p.leadingComments) prepend_comments(p.leadingComments, state, false);
+
+          if (p.kind === 'get' || p.kind === 'set') {
+            state.commands.push(ref`children[]`, KW(p.kind), ref`#`, WS` `);
+          } else {
+            if (fn.async) state.commands.push(ref`children[]`, KW`async`, ref`#`, WS` `);
+            if (fn.generator) state.commands.push(ref`children[]`, PN`*`);
+          }
 
-        if (p.kind === 'get' || p.kind === 'set') {
-          state.commands.push(ref`children[]`, KW(p.kind) + ref`#`, WS` `);
-        } else {
-          if (fn.async) state.commands.push(ref`children[]`, KW`async`, ref`#`, WS` `);
-          if (fn.generator) state.commands.push(ref`children[]`, PN`*`);
-        }
+          if (p.computed) state.commands.push(ref`children[]`, PN`[`);
+          handle_property_key(p, state);
+          if (p.computed) state.commands.push(ref`children[]`, PN`]`);
 
-        if (p.computed) state.commands.push(ref`children[]`, PN`[`);
-        handle(p.key, state);
-        if (p.computed) state.commands.push(ref`children[]`, PN`]`);
+          state.commands.push(ref`children[]`, PN`(`);
+          list(fn.params, state, false, handle, undefined, allows_trailing_comma(state, false));
+          state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `);
 
-        state.commands.push(ref`children[]`, PN`(`);
-        list(fn.params, state, false, handle);
-        state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `);
+          handle(fn.body, state);
 
-        handle(fn.body, state);
-      } else {
-        handle(p, state);
-      }
-    });
+          if (p.trailingComments) state.comments.push(...p.trailingComments);
+        } else {
+          handle(p, state);
+        }
+      },
+      undefined,
+      allows_trailing_comma(state, true),
+    );
+    handle_empty_brackets_comments(node, node.properties, state);
     state.commands.push(ref`children[]`, PN`}`);
+
+    state.quoted_keys = quoted_keys;
   },
 
   ObjectPattern(node, state) {
+    const quoted_keys = state.quoted_keys;
+    state.quoted_keys = has_quoted_keys(node, state);
+
+    handle_decorators(node, state, false);
     state.commands.push(ref`children[]`, PN`{`);
-    list(node.properties, state, true, handle);
+    list(node.properties, state, true, handle, undefined, allows_trailing_comma(state, true));
+    handle_empty_brackets_comments(node, node.properties, state);
     state.commands.push(ref`children[]`, PN`}`);
 
+    state.quoted_keys = quoted_keys;
+
     if (node.typeAnnotation) handle_type_annotation(node.typeAnnotation, state);
   },
 
+  OpaqueType: shared['DeclareOpaqueType|OpaqueType'],
+
   ParenthesizedExpression(node, state) {
     return handle(node.expression, state);
   },
@@ -1123,6 +2480,7 @@ const handlers = {
 
   Program(node, state) {
     handle_body(node.body, state);
+    handle_inner_comments(node, state, node.body.length === 0);
   },
 
   Property(node, state) {
@@ -1141,7 +2499,7 @@ const handlers = {
     }
 
     if (node.computed) state.commands.push(ref`children[]`, PN`[`);
-    handle(node.key, state);
+    handle_property_key(node, state);
     state.commands.push(
       ...(node.computed
         ? [ref`children[]`, PN`]`, ref`children[]`, PN`:`, ref`#`, WS` `]
@@ -1150,35 +2508,21 @@ const handlers = {
     handle(node.value, state);
   },
 
-  PropertyDefinition(node, state) {
-    if (node.accessibility) {
-      state.commands.push(ref`children[]`, KW(node.accessibility), ref`#`, WS` `);
-    }
-
-    if (node.static) {
-      state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
-    }
-
-    if (node.computed) {
-      state.commands.push(ref`children[]`, PN`[`);
-      handle(node.key, state);
-      state.commands.push(ref`children[]`, PN`]`);
-    } else {
-      handle(node.key, state);
-    }
-
-    if (node.typeAnnotation) {
-      state.commands.push(ref`children[]`, PN`:`, ref`#`, WS` `);
-      handle_type_annotation(node.typeAnnotation.typeAnnotation, state);
-    }
+  PropertyDefinition:
+    shared[
+      'AccessorProperty|PropertyDefinition|TSAbstractAccessorProperty|TSAbstractPropertyDefinition'
+    ],
 
-    if (node.value) {
-      state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
-
-      handle(node.value, state);
-    }
+  QualifiedTypeIdentifier(node, state) {
+    handle(node.qualification, state);
+    state.commands.push(ref`children[]`, PN`.`);
+    handle(node.id, state);
+  },
 
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+  QualifiedTypeofIdentifier(node, state) {
+    handle(node.qualification, state);
+    state.commands.push(ref`children[]`, PN`.`);
+    handle(node.id, state);
   },
 
   RestElement: shared['RestElement|SpreadElement'],
@@ -1197,12 +2541,10 @@ const handlers = {
       );
       handle(node.argument, state);
       state.commands.push(
-        ...(contains_comment
-          ? [ref`children[]`, PN`)`, ref`statementTerminatorToken`, PN`;`]
-          : [ref`statementTerminatorToken`, PN`;`]),
+        ...(contains_comment ? [ref`children[]`, PN`)`, ...terminator(state)] : terminator(state)),
       );
     } else {
-      state.commands.push(ref`children[]`, KW`return`, ref`statementTerminatorToken`, PN`;`);
+      state.commands.push(ref`children[]`, KW`return`, ...terminator(state));
     }
   },
 
@@ -1215,20 +2557,8 @@ const handlers = {
   SpreadElement: shared['RestElement|SpreadElement'],
 
   StaticBlock(node, state) {
-    state.commands.push(
-      indent,
-      ref`children[]`,
-      KW`static`,
-      ref`#`,
-      WS` `,
-      ref`children[]`,
-      PN`{`,
-      newline,
-    );
-
-    handle_body(node.body, state);
-
-    state.commands.push(dedent, newline, ref`children[]`, PN`}`);
+    state.commands.push(ref`children[]`, KW`static`, ref`#`, WS` `);
+    shared['BlockStatement|ClassBody|TSModuleBlock'](node, state);
   },
 
   Super(node, state) {
@@ -1238,37 +2568,73 @@ const handlers = {
   SwitchStatement(node, state) {
     state.commands.push(ref`children[]`, KW`switch`, ref`#`, WS` `, ref`children[]`, PN`(`);
     handle(node.discriminant, state);
-    state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `, ref`children[]`, PN`{`, indent);
+    state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `, ref`children[]`, PN`{`);
+
+    if (node.cases.length === 0 && !node.innerComments) {
+      state.commands.push(ref`children[]`, PN`}`);
+      return;
+    }
 
-    let first = true;
+    state.commands.push(indent);
+
+    let previous = null;
 
     for (const block of node.cases) {
-      if (!first) state.commands.push(ref`#`, WS`\n`);
-      first = false;
+      // cases that fall through to this one stay next to it
+      if (previous && previous.consequent.length) {
+        state.commands.push(ref`#`, WS(state.options.lineEnding));
+      }
+      previous = block;
+
+      state.commands.push(newline);
+      if (block.leadingComments) prepend_comments(block.leadingComments, state, true);
 
       if (block.test) {
-        state.commands.push(newline, ref`children[]`, KW`case`, ref`#`, WS` `);
+        state.commands.push(ref`children[]`, KW`case`, ref`#`, WS` `);
         handle(block.test, state);
         state.commands.push(ref`children[]`, PN`:`);
       } else {
-        state.commands.push(newline, ref`children[]`, KW`default`, ref`children[]`, PN`:`);
+        state.commands.push(ref`children[]`, KW`default`, ref`children[]`, PN`:`);
       }
 
       state.commands.push(indent);
 
-      for (const statement of block.consequent) {
+      const { asi_hazard } = state;
+
+      for (let i = 0; i < block.consequent.length; i += 1) {
+        const next = block.consequent[i + 1];
+
         state.commands.push(newline);
-        handle(statement, state);
+        state.asi_hazard = !!next && starts_with_asi_hazard(next);
+        handle(block.consequent[i], state);
+        flush_comments(state);
+      }
+
+      state.asi_hazard = asi_hazard;
+
+      // cases aren't passed to handle, so their trailing comments are printed here
+      if (block.trailingComments) {
+        state.comments.push(...block.trailingComments);
+        flush_comments(state);
       }
 
       state.commands.push(dedent);
     }
 
+    if (node.innerComments) {
+      state.commands.push(newline);
+      handle_inner_comments(node, state);
+    }
+
     state.commands.push(dedent, newline, ref`children[]`, PN`}`);
   },
 
   TaggedTemplateExpression(node, state) {
     handle(node.tag, state);
+
+    const type_arguments = node.typeArguments || node.typeParameters;
+    if (type_arguments) handle_type_annotation(type_arguments, state);
+
     handle(node.quasi, state);
   },
 
@@ -1278,19 +2644,14 @@ const handlers = {
     const { quasis, expressions } = node;
 
     for (let i = 0; i < expressions.length; i++) {
-      const raw = quasis[i].value.raw;
-
-      state.commands.push(ref`children[]`, LIT(raw), ref`children[]`, PN('${'));
+      handle_template_quasi(quasis[i], state);
+      state.commands.push(ref`children[]`, PN('${'));
       handle(expressions[i], state);
       state.commands.push(ref`children[]`, PN`}`);
-
-      if (/\n/.test(raw)) state.multiline = true;
     }
 
-    const raw = quasis[quasis.length - 1].value.raw;
-
-    state.commands.push(ref`children[]`, LIT(raw), ref`children[]`, PN('`'));
-    if (/\n/.test(raw)) state.multiline = true;
+    handle_template_quasi(quasis[quasis.length - 1], state);
+    state.commands.push(ref`children[]`, PN('`'));
   },
 
   ThisExpression(node, state) {
@@ -1300,7 +2661,7 @@ const handlers = {
   ThrowStatement(node, state) {
     state.commands.push(ref`children[]`, KW`throw`, ref`#`, WS` `);
     if (node.argument) handle(node.argument, state);
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(...terminator(state));
   },
 
   TryStatement(node, state) {
@@ -1308,29 +2669,29 @@ const handlers = {
     handle(node.block, state);
 
     if (node.handler) {
+      const gap = flush_comments(state) ? [newline] : [ref`#`, WS` `];
+
       if (node.handler.param) {
-        state.commands.push(ref`#`, WS` `, ref`children[]`, KW`catch`, ref`children[]`, PN`(`);
+        state.commands.push(...gap, ref`children[]`, KW`catch`, ref`children[]`, PN`(`);
         handle(node.handler.param, state);
         state.commands.push(ref`children[]`, PN`)`, ref`#`, WS` `);
       } else {
-        state.commands.push(ref`#`, WS` `, ref`children[]`, KW`catch`, ref`#`, WS` `);
+        state.commands.push(...gap, ref`children[]`, KW`catch`, ref`#`, WS` `);
       }
 
       handle(node.handler.body, state);
     }
 
     if (node.finalizer) {
-      state.commands.push(ref`#`, WS` `, ref`children[]`, KW`finally`, ref`#`, WS` `);
+      const gap = flush_comments(state) ? [newline] : [ref`#`, WS` `];
+      state.commands.push(...gap, ref`children[]`, KW`finally`, ref`#`, WS` `);
       handle(node.finalizer, state);
     }
   },
 
   TSAsExpression(node, state) {
     if (node.expression) {
-      const needsParens =
-        expressionPrcedence[node.expression.type] < expressionPrcedence.TSAsExpression;
-
-      if (needsParens) {
+      if (needsParens(node.expression, node, false)) {
         state.commands.push(ref`children[]`, PN`(`);
         handle(node.expression, state);
         state.commands.push(ref`children[]`, PN`)`);
@@ -1338,28 +2699,161 @@ const handlers = {
         handle(node.expression, state);
       }
     }
-    state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`children[]`, PN` `);
+    state.commands.push(ref`#`, WS` `, ref`children[]`, KW`as`, ref`#`, WS` `);
     handle_type_annotation(node.typeAnnotation, state);
   },
 
+  TSAbstractMethodDefinition: shared['MethodDefinition|TSAbstractMethodDefinition'],
+
+  TSAbstractAccessorProperty:
+    shared[
+      'AccessorProperty|PropertyDefinition|TSAbstractAccessorProperty|TSAbstractPropertyDefinition'
+    ],
+
+  TSAbstractPropertyDefinition:
+    shared[
+      'AccessorProperty|PropertyDefinition|TSAbstractAccessorProperty|TSAbstractPropertyDefinition'
+    ],
+
+  TSDeclareFunction: shared['FunctionDeclaration|FunctionExpression|TSDeclareFunction'],
+
   TSEnumDeclaration(node, state) {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+    if (node.const) state.commands.push(ref`children[]`, KW`const`, ref`#`, WS` `);
     state.commands.push(ref`children[]`, KW`enum`, ref`#`, WS` `);
     handle(node.id, state);
-    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`{`, indent, newline);
-    list(node.members, state, false, handle_type_annotation);
-    state.commands.push(dedent, newline, ref`children[]`, PN`}`, newline);
+    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`{`);
+    // newer versions of typescript-estree wrap members in a TSEnumBody
+    list(
+      node.members || node.body.members,
+      state,
+      true,
+      handle_type_annotation,
+      undefined,
+      allows_trailing_comma(state, true),
+    );
+    state.commands.push(ref`children[]`, PN`}`);
   },
 
-  TSNonNullExpression(node, state) {
+  TSExportAssignment(node, state) {
+    state.commands.push(
+      ref`children[]`,
+      KW`export`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      PN`=`,
+      ref`#`,
+      WS` `,
+    );
+    handle(node.expression, state);
+    state.commands.push(...terminator(state));
+  },
+
+  TSExternalModuleReference(node, state) {
+    state.commands.push(ref`children[]`, KW`require`, ref`children[]`, PN`(`);
     handle(node.expression, state);
+    state.commands.push(ref`children[]`, PN`)`);
+  },
+
+  TSImportEqualsDeclaration(node, state) {
+    if (node.isExport) state.commands.push(ref`children[]`, KW`export`, ref`#`, WS` `);
+    state.commands.push(ref`children[]`, KW`import`, ref`#`, WS` `);
+    if (node.importKind === 'type') state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
+    handle(node.id, state);
+    state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
+    handle(node.moduleReference, state);
+    state.commands.push(...terminator(state));
+  },
+
+  TSModuleBlock: shared['BlockStatement|ClassBody|TSModuleBlock'],
+
+  TSModuleDeclaration(node, state) {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
+
+    // older versions of typescript-estree don't set `kind`
+    const kind =
+      node.kind || (node.global ? 'global' : node.id.type === 'Literal' ? 'module' : 'namespace');
+
+    if (kind === 'global') {
+      state.commands.push(ref`children[]`, KW`global`);
+    } else {
+      state.commands.push(ref`children[]`, KW(kind), ref`#`, WS` `);
+      handle(node.id, state);
+    }
+
+    let body = node.body;
+
+    // older versions of typescript-estree represent `namespace a.b {}` as nested declarations
+    while (body && body.type === 'TSModuleDeclaration') {
+      state.commands.push(ref`children[]`, PN`.`);
+      handle(body.id, state);
+      body = body.body;
+    }
+
+    if (body) {
+      state.commands.push(ref`#`, WS` `);
+      handle(body, state);
+    } else {
+      state.commands.push(...terminator(state));
+    }
+  },
+
+  TSNamespaceExportDeclaration(node, state) {
+    state.commands.push(
+      ref`children[]`,
+      KW`export`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      KW`as`,
+      ref`#`,
+      WS` `,
+      ref`children[]`,
+      KW`namespace`,
+      ref`#`,
+      WS` `,
+    );
+    handle(node.id, state);
+    state.commands.push(...terminator(state));
+  },
+
+  TSInstantiationExpression(node, state) {
+    if (expressionPrcedence[node.expression.type] < expressionPrcedence.TSInstantiationExpression) {
+      state.commands.push(ref`children[]`, PN`(`);
+      handle(node.expression, state);
+      state.commands.push(ref`children[]`, PN`)`);
+    } else {
+      handle(node.expression, state);
+    }
+
+    handle_type_annotation(node.typeArguments || node.typeParameters, state);
+  },
+
+  TSNonNullExpression(node, state) {
+    if (expressionPrcedence[node.expression.type] < expressionPrcedence.TSNonNullExpression) {
+      state.commands.push(ref`children[]`, PN`(`);
+      handle(node.expression, state);
+      state.commands.push(ref`children[]`, PN`)`);
+    } else {
+      handle(node.expression, state);
+    }
+
     state.commands.push(ref`children[]`, PN`!`);
   },
 
+  TSIndexSignature(node, state) {
+    // only class index signatures get here, other members go through handle_type_annotation
+    handle_type_annotation(node, state);
+    state.commands.push(...terminator(state));
+  },
+
   TSInterfaceBody(node, state) {
     list(node.body, state, false, handle_type_annotation, [ref`statementTerminatorToken`, PN`;`]);
   },
 
   TSInterfaceDeclaration(node, state) {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
     state.commands.push(ref`children[]`, KW`interface`, ref`#`, WS` `);
     handle(node.id, state);
     if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
@@ -1374,10 +2868,7 @@ const handlers = {
 
   TSSatisfiesExpression(node, state) {
     if (node.expression) {
-      const needsParens =
-        expressionPrcedence[node.expression.type] < expressionPrcedence.TSSatisfiesExpression;
-
-      if (needsParens) {
+      if (needsParens(node.expression, node, false)) {
         state.commands.push(ref`children[]`, PN`(`);
         handle(node.expression, state);
         state.commands.push(ref`children[]`, PN`)`);
@@ -1389,13 +2880,35 @@ const handlers = {
     handle_type_annotation(node.typeAnnotation, state);
   },
 
+  TSTypeAssertion(node, state) {
+    state.commands.push(ref`children[]`, PN`<`);
+    handle_type_annotation(node.typeAnnotation, state);
+    state.commands.push(ref`children[]`, PN`>`);
+
+    if (expressionPrcedence[node.expression.type] < expressionPrcedence.TSTypeAssertion) {
+      state.commands.push(ref`children[]`, PN`(`);
+      handle(node.expression, state);
+      state.commands.push(ref`children[]`, PN`)`);
+    } else {
+      handle(node.expression, state);
+    }
+  },
+
   TSTypeAliasDeclaration(node, state) {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
     state.commands.push(ref`children[]`, KW`type`, ref`#`, WS` `);
     handle(node.id, state);
     if (node.typeParameters) handle_type_annotation(node.typeParameters, state);
     state.commands.push(ref`#`, WS` `, ref`children[]`, PN`=`, ref`#`, WS` `);
     handle_type_annotation(node.typeAnnotation, state);
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(...terminator(state));
+  },
+
+  TSParameterProperty(node, state) {
+    handle_decorators(node, state, false);
+
+    handle_member_modifiers(node, state);
+    handle(node.parameter, state);
   },
 
   TSQualifiedName(node, state) {
@@ -1404,6 +2917,16 @@ const handlers = {
     handle(node.right, state);
   },
 
+  TypeAlias: shared['DeclareTypeAlias|TypeAlias'],
+
+  TypeCastExpression(node, state) {
+    // flow requires type casts to be parenthesized
+    state.commands.push(ref`children[]`, PN`(`);
+    handle(node.expression, state);
+    handle_type_annotation(node.typeAnnotation, state);
+    state.commands.push(ref`children[]`, PN`)`);
+  },
+
   UnaryExpression(node, state) {
     state.commands.push(ref`children[]`, PN(node.operator));
 
@@ -1431,8 +2954,9 @@ const handlers = {
   },
 
   VariableDeclaration(node, state) {
+    if (node.declare) state.commands.push(ref`children[]`, KW`declare`, ref`#`, WS` `);
     handle_var_declaration(node, state);
-    state.commands.push(ref`statementTerminatorToken`, PN`;`);
+    state.commands.push(...terminator(state));
   },
 
   VariableDeclarator(node, state) {
@@ -1,7 +1,58 @@
-import { treeFromStreamSync } from '@bablr/agast-helpers/tree';
+import { treeFromStreamSync, getOpenTag, traverseProperties } from '@bablr/agast-helpers/tree';
 import * as t from '@bablr/agast-helpers/shorthand';
-import { handle } from './handlers.js';
+import { LiteralTag } from '@bablr/agast-helpers/symbols';
+import { handle, flush_comments } from './handlers.js';
+import { attachComments, buildCommentTags } from './comments.js';
+import { withSourceTrivia } from './lossless.js';
+import { buildReuseCheck, buildRangeCheck, getStart, getEnd } from './reprint.js';
 import { buildAppend, buildSequence, ref, canonicalURL } from './builders.js';
+import { advanceColumn } from './width.js';
+
+export { printWithSourceMap } from './source-map.js';
+export { estreeFromCSTML } from './estree.js';
+
+const defaultOptions = {
+  indent: '\t',
+  printWidth: 80,
+  tabWidth: 4,
+  quotes: 'single',
+  semicolons: true,
+  trailingCommas: 'none',
+  lineEnding: '\n',
+  quoteProps: 'preserve',
+  blankLines: 'group',
+};
+
+const optionValues = {
+  trailingCommas: ['none', 'es5', 'all'],
+  lineEnding: ['\n', '\r\n'],
+  quoteProps: ['preserve', 'as-needed', 'consistent'],
+  blankLines: ['group', 'preserve'],
+};
+
+function normalizeOptions(opts) {
+  const options = { ...opts };
+
+  for (const [name, value] of Object.entries(defaultOptions)) {
+    options[name] ??= value;
+  }
+
+  for (const [name, values] of Object.entries(optionValues)) {
+    if (!values.includes(options[name])) {
+      throw new Error(`Unknown ${name} option ${JSON.stringify(options[name])}`);
+    }
+  }
+
+  if (!/^[ \t]+$/.test(options.indent)) {
+    throw new Error('The indent option must be made of spaces or tabs');
+  }
+
+  if (!Number.isInteger(options.tabWidth) || options.tabWidth < 1) {
+    throw new Error('The tabWidth option must be a positive integer');
+  }
+
+  return options;
+}
 
 export function cstmlFromESTree(node, opts = {}) {
   if (Array.isArray(node)) {
@@ -15,12 +66,43 @@ export function cstmlFromESTree(node, opts = {}) {
     );
   }
 
+  opts = normalizeOptions(opts);
+
+  const reusesSource = opts.lossless || opts.original || opts.dirty || opts.range;
+
+  if (reusesSource && typeof opts.source !== 'string') {
+    throw new Error('Reusing the source requires the source text');
+  }
+
+  if (opts.comments) {
+    attachComments(node, opts.comments, opts.source);
+  }
+
   const state = {
     commands: [],
     comments: [],
     multiline: false,
+    options: opts,
+    reuse: null,
+    reusing: false,
+    estreeNodes: new WeakMap(),
   };
 
+  if (opts.lossless) {
+    // lossless mode reuses the source for the whole tree
+    const span = {
+      start: getStart(node) ?? 0,
+      end: getEnd(node) ?? opts.source.length,
+      mode: 'source',
+    };
+
+    state.reuse = (child) => (child === node ? span : null);
+  } else if (opts.range) {
+    state.reuse = buildRangeCheck(node, opts.range);
+  } else if (reusesSource) {
+    state.reuse = buildReuseCheck(opts);
+  }
+
   state.commands.push(buildAppend(t.doctype({ 'bablr-language': canonicalURL })));
   state.commands.push(buildAppend(t.fragOpen()));
   // state.commands.push(buildAppend(t.ref`.`));
@@ -28,18 +110,108 @@ export function cstmlFromESTree(node, opts = {}) {
   state.commands.push(buildAppend(t.buildArrayInitializerTag()));
 
   handle(node, state);
+  flush_comments(state);
 
   state.commands.push(buildAppend(t.fragClose()));
 
   let tags = [];
+  let column = 0;
+
+  const advance = (from, tag) =>
+    tag.type === LiteralTag ? advanceColumn(from, tag.value, opts.tabWidth) : from;
 
   function append(tag) {
     tags.push(tag);
+    column = advance(column, tag);
+  }
+
+  function appendToken(ref, type, value) {
+    append(ref);
+    append(t.nodeOpen(t.tokenFlags, canonicalURL, type));
+    append(t.lit(value));
+    append(t.nodeClose());
   }
 
-  let newline = '\n';
+  let newline = opts.lineEnding;
+
+  function buildComment(comment) {
+    const value = comment.type === 'Block' ? comment.value.replace(/\n/g, newline) : comment.value;
+
+    return buildCommentTags(comment.type, value, opts.jsdoc);
+  }
+
+  // Commands are printed from a stack, each in the mode of the innermost group around it. Groups
+  // that are not forced to break are printed flat if they fit on the line.
+  const stack = [];
+
+  const push = (commands, mode) => {
+    for (let i = commands.length - 1; i >= 0; i -= 1) {
+      stack.push({ command: commands[i], mode });
+    }
+  };
+
+  // whether the group fits on the line printed flat, along with whatever follows it up to the next
+  // newline, which is looked for in the rest of the stack
+  function fits(group) {
+    const commands = [{ command: group, mode: 'flat' }];
+    let rest = stack.length;
+    let width = column;
+
+    while (width <= opts.printWidth) {
+      if (commands.length === 0) {
+        if (rest === 0) return true;
+
+        commands.push(stack[(rest -= 1)]);
+        continue;
+      }
+
+      const { command, mode } = commands.pop();
+      let children = [];
+      let childMode = mode;
+
+      switch (command.type) {
+        case 'Append':
+          width = advance(width, command.content);
+          break;
+
+        case 'Newline':
+          return true;
+
+        case 'Sequence':
+          children = command.children;
+          break;
+
+        case 'Group':
+          children = command.children;
+          if (command.break) childMode = 'break';
+          break;
+
+        case 'IfBreak':
+          children = mode === 'break' ? command.breakContents : command.flatContents;
+          break;
+
+        case 'Comment':
+          for (const tag of buildComment(command.comment)) width = advance(width, tag);
+          break;
+      }
+
+      for (let i = children.length - 1; i >= 0; i -= 1) {
+        commands.push({ command: children[i], mode: childMode });
+      }
+    }
+
+    return false;
+  }
+
+  push(state.commands, 'break');
+
+  // after a newline in a flat group, like in a function that is the last argument of a call, the
+  // groups that follow it are measured again
+  let remeasure = false;
+
+  while (stack.length) {
+    const { command, mode } = stack.pop();
 
-  function run(command) {
     if (typeof command === 'string') {
       throw new Error();
     }
@@ -50,41 +222,74 @@ export function cstmlFromESTree(node, opts = {}) {
         break;
 
       case 'Newline':
-        append(t.ref`#`);
-        append(t.nodeOpen(t.tokenFlags, canonicalURL, 'Whitespace'));
-        append(t.lit(newline));
-        append(t.nodeClose());
+        appendToken(t.ref`#`, 'Whitespace', newline);
+        if (mode === 'flat') remeasure = true;
         break;
 
       case 'Indent':
-        newline += '\t';
+        newline += opts.indent;
         break;
 
       case 'Dedent':
-        newline = newline.slice(0, -1);
+        newline = newline.slice(0, -opts.indent.length);
         break;
 
       case 'Sequence':
-        for (let i = 0; i < command.children.length; i += 1) {
-          run(command.children[i]);
-        }
-
+        push(command.children, mode);
         break;
 
-      case 'Comment':
-        if (command.comment.type === 'Line') {
-          append(`//${command.comment.value}`);
+      case 'Group':
+        if (command.break) {
+          push(command.children, 'break');
+        } else if (mode === 'flat' && !remeasure) {
+          push(command.children, 'flat');
         } else {
-          append(`/*${command.comment.value.replace(/\n/g, newline)}*/`);
+          remeasure = false;
+          push(command.children, fits(command) ? 'flat' : 'break');
         }
+        break;
+
+      case 'IfBreak':
+        push(mode === 'break' ? command.breakContents : command.flatContents, mode);
+        break;
 
+      case 'SpanStart':
+      case 'SpanEnd':
+        append(command);
+        break;
+
+      case 'Comment':
+        for (const tag of buildComment(command.comment)) append(tag);
         break;
     }
   }
 
-  for (let i = 0; i < state.commands.length; i += 1) {
-    run(state.commands[i]);
+  if (reusesSource) {
+    tags = [...withSourceTrivia(tags, opts.source, opts)];
+  }
+
+  const tree = treeFromStreamSync(tags);
+
+  if (opts.onNode) {
+    const cstNodes = new Map();
+
+    const collect = (cstNode) => {
+      if (!cstNode) return;
+
+      cstNodes.set(getOpenTag(cstNode), cstNode);
+
+      for (const child of traverseProperties(cstNode.properties)) collect(child);
+    };
+
+    collect(tree);
+
+    // in the order the nodes were printed
+    for (const tag of tags) {
+      if (state.estreeNodes.has(tag) && cstNodes.has(tag)) {
+        opts.onNode(state.estreeNodes.get(tag), cstNodes.get(tag));
+      }
+    }
   }
 
-  return treeFromStreamSync(tags);
+  return tree;
 }
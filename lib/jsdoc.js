@@ -0,0 +1,169 @@
+import * as t from '@bablr/agast-helpers/shorthand';
+
+// JSDoc is embedded in block comments as its own language, the way regexes embed Regex
+export const jsdocURL = 'https://bablr.org/languages/universe/jsdoc';
+
+const l = jsdocURL;
+
+// the whitespace, star and space that start each line after the first
+const gutterPattern = /^([ \t]*)(\*(?!\/))?( ?)/;
+
+export const isJSDoc = (value) => /^\*(?!\*)/.test(value);
+
+function* token(ref, type, value) {
+  yield ref;
+  yield t.nodeOpen(t.tokenFlags, l, type);
+  yield t.lit(value);
+  yield t.nodeClose();
+}
+
+function* trivia(value) {
+  const pattern = /(\*)|([^*]+)/gy;
+  let match;
+
+  while ((match = pattern.exec(value))) {
+    yield* token(t.ref`#`, match[1] ? 'Punctuator' : 'Whitespace', match[0]);
+  }
+}
+
+// splits the comment into lines of content, keeping what separates them as trivia
+function parseLines(value) {
+  const [first, ...rest] = value.slice(1).split(/(?<=\n)/);
+
+  const lines = [{ gutter: '', content: first }];
+
+  for (const line of rest) {
+    const [gutter] = gutterPattern.exec(line);
+    lines.push({ gutter, content: line.slice(gutter.length) });
+  }
+
+  for (const line of lines) {
+    const [, text, end] = /^(.*?)(\s*)$/s.exec(line.content);
+    line.content = text;
+    line.end = end;
+  }
+
+  return lines;
+}
+
+function* description(lines) {
+  if (!lines.some((line) => line.content)) {
+    for (const line of lines) yield* trivia(line.gutter + line.end);
+    return;
+  }
+
+  yield t.ref`description`;
+  yield t.nodeOpen(t.nodeFlags, l, 'Description');
+
+  for (const line of lines) {
+    yield* trivia(line.gutter);
+    if (line.content) yield* token(t.ref`children[]`, 'Text', line.content);
+    yield* trivia(line.end);
+  }
+
+  yield t.nodeClose();
+}
+
+// reads a braced type, allowing nested braces like {{ a: string }}
+function readType(text) {
+  let depth = 0;
+
+  if (text[0] !== '{') return null;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}') depth--;
+    if (depth === 0) return text.slice(0, i + 1);
+  }
+
+  return null;
+}
+
+function* parameter(text) {
+  const optional = /^\[([^\]=]*)(?:(=)([^\]]*))?\]/.exec(text);
+
+  yield t.ref`parameter`;
+  yield t.nodeOpen(t.nodeFlags, l, 'Parameter');
+
+  if (optional) {
+    yield* token(t.ref`openToken`, 'Punctuator', '[');
+    if (optional[1]) yield* token(t.ref`name`, 'Identifier', optional[1]);
+    if (optional[2]) yield* token(t.ref`equalsToken`, 'Punctuator', '=');
+    if (optional[3]) yield* token(t.ref`default`, 'Text', optional[3]);
+    yield* token(t.ref`closeToken`, 'Punctuator', ']');
+  } else {
+    yield* token(t.ref`name`, 'Identifier', text);
+  }
+
+  yield t.nodeClose();
+}
+
+function* tag(lines) {
+  const [first, ...rest] = lines;
+  let text = first.content;
+
+  yield* trivia(first.gutter);
+  yield t.ref`tags[]`;
+  yield t.nodeOpen(t.nodeFlags, l, 'Tag');
+
+  const [, name] = /^@([^\s{]*)/.exec(text);
+  yield* token(t.ref`sigilToken`, 'Punctuator', '@');
+  if (name) yield* token(t.ref`name`, 'Keyword', name);
+  text = text.slice(name.length + 1);
+
+  let match = /^\s*/.exec(text);
+  const type = readType(text.slice(match[0].length));
+
+  if (type) {
+    if (match[0]) yield* trivia(match[0]);
+    yield t.ref`type`;
+    yield t.nodeOpen(t.nodeFlags, l, 'Type');
+    yield* token(t.ref`openToken`, 'Punctuator', '{');
+    if (type.length > 2) yield* token(t.ref`content`, 'TypeExpression', type.slice(1, -1));
+    yield* token(t.ref`closeToken`, 'Punctuator', '}');
+    yield t.nodeClose();
+    text = text.slice(match[0].length + type.length);
+  }
+
+  // only some tags name a parameter or property before their description
+  if (/^(?:param|arg|argument|property|prop|typedef|callback)$/.test(name)) {
+    match = /^(\s+)(\[[^\]]*\]|[^\s[]+)/.exec(text);
+
+    if (match) {
+      yield* trivia(match[1]);
+      yield* parameter(match[2]);
+      text = text.slice(match[0].length);
+    }
+  }
+
+  match = /^\s*/.exec(text);
+  if (match[0]) yield* trivia(match[0]);
+
+  yield* description([{ ...first, gutter: '', content: text.slice(match[0].length) }, ...rest]);
+
+  yield t.nodeClose();
+}
+
+// yields the tags of a JSDoc node for the value of a /** */ comment, from its leading * onwards
+export function* buildJSDocTags(value) {
+  const lines = parseLines(value);
+  const groups = [[]];
+
+  for (const line of lines) {
+    if (line.content.startsWith('@')) groups.push([]);
+    groups[groups.length - 1].push(line);
+  }
+
+  yield t.nodeOpen(t.nodeFlags, l, 'JSDoc');
+  yield* token(t.ref`sigilToken`, 'Punctuator', '*');
+
+  const [intro, ...tags] = groups;
+
+  if (intro.length) yield* description(intro);
+
+  for (const lines of tags) {
+    yield* tag(lines);
+  }
+
+  yield t.nodeClose();
+}
@@ -0,0 +1,212 @@
+import * as t from '@bablr/agast-helpers/shorthand';
+import { ReferenceTag, OpenNodeTag, CloseNodeTag, LiteralTag } from '@bablr/agast-helpers/symbols';
+import { canonicalURL } from './builders.js';
+import { buildCommentTags } from './comments.js';
+
+// Within spans of reused source, the tokens the handlers print are kept, but the whitespace and
+// comments they synthesized are replaced with what is between the tokens in the source.
+// Lossless mode is a single span covering the whole tree.
+
+// statement terminators are optional with ASI, and the source decides where commas go
+const optionalTokens = [';', ','];
+
+function* buildTokenTags(ref, type, value) {
+  yield ref;
+  yield t.nodeOpen(t.tokenFlags, canonicalURL, type);
+  yield t.lit(value);
+  yield t.nodeClose();
+}
+
+const piecePatterns = [
+  ['Whitespace', /\s+/y],
+  ['Line', /\/\/(.*)/y],
+  ['Block', /\/\*([\s\S]*?)\*\//y],
+  // redundant parentheses, trailing commas and empty statements
+  ['Punctuator', /[(),;]/y],
+];
+
+// reads the trivia and extra punctuation in the source up to `text`, or to `end` without it
+function scan(source, cursor, end, text = null) {
+  const pieces = [];
+
+  if (cursor === 0 && source.startsWith('#!')) {
+    const value = /#!.*/y.exec(source)[0];
+    pieces.push({ type: 'Hashbang', value });
+    cursor += value.length;
+  }
+
+  while (text === null ? cursor < end : !source.startsWith(text, cursor)) {
+    let match = null;
+
+    if (cursor >= end) return null;
+
+    for (const [type, pattern] of piecePatterns) {
+      pattern.lastIndex = cursor;
+
+      if ((match = pattern.exec(source)) && cursor + match[0].length <= end) {
+        pieces.push({ type, value: match[1] ?? match[0] });
+        break;
+      } else if (match && type === 'Whitespace') {
+        // whitespace after the span belongs to whatever is around it
+        match = [source.slice(cursor, end)];
+        pieces.push({ type, value: match[0] });
+        break;
+      }
+
+      match = null;
+    }
+
+    if (!match) return null;
+
+    cursor += match[0].length;
+  }
+
+  return { pieces, cursor };
+}
+
+function* buildPieceTags(pieces, jsdoc) {
+  for (const piece of pieces) {
+    if (piece.type === 'Line' || piece.type === 'Block') {
+      yield* buildCommentTags(piece.type, piece.value, jsdoc);
+    } else if (piece.type === 'Punctuator') {
+      yield* buildTokenTags(t.ref`children[]`, 'PunctuatorToken', piece.value);
+    } else {
+      yield* buildTokenTags(t.ref`#`, `${piece.type}Token`, piece.value);
+    }
+  }
+}
+
+export const buildSpanStart = (start, end, mode) => ({ type: 'SpanStart', start, end, mode });
+
+export const buildSpanEnd = () => ({ type: 'SpanEnd' });
+
+const mismatch = (text, cursor) =>
+  new Error(`Lossless printing failed: expected ${JSON.stringify(text)} at offset ${cursor}`);
+
+// In source spans everything must match the source. In mixed spans, tokens that match the source
+// get its trivia, and anything else keeps what the handlers synthesized. Printed spans keep what
+// the handlers synthesized throughout.
+export function* withSourceTrivia(tags, source, options = {}) {
+  const spans = [];
+  let cursor = null;
+  // tags that open the next token are held back so trivia can go in front of all of them
+  let held = [];
+  // synthesized trivia, which is only printed if the source's trivia can't be used
+  let synth = [];
+  let synthDepth = null;
+  // for each open node, whether it is a token
+  const stack = [];
+  let skipClose = 0;
+
+  for (const tag of tags) {
+    const span = spans[spans.length - 1];
+
+    if (tag.type === 'SpanStart' && span && tag.mode === 'mixed' && cursor <= tag.start) {
+      // the trivia before a changed node is only taken from the source if its first token matches
+      spans.push(tag);
+      continue;
+    }
+
+    if (tag.type === 'SpanStart') {
+      const scanned = span && cursor <= tag.start ? scan(source, cursor, tag.start) : null;
+
+      yield* scanned ? buildPieceTags(scanned.pieces, options.jsdoc) : synth;
+      yield* held;
+      synth = [];
+      held = [];
+      spans.push(tag);
+      cursor = tag.start;
+      continue;
+    }
+
+    if (tag.type === 'SpanEnd') {
+      const scanned =
+        span.mode !== 'printed' && cursor <= span.end ? scan(source, cursor, span.end) : null;
+
+      if (!scanned && options.lossless) {
+        throw new Error(`Lossless printing failed: unprinted source at offset ${cursor}`);
+      }
+
+      yield* held;
+      yield* scanned ? buildPieceTags(scanned.pieces, options.jsdoc) : synth;
+      synth = [];
+      held = [];
+      spans.pop();
+      cursor = span.end;
+      continue;
+    }
+
+    if (!span || span.mode === 'printed') {
+      yield tag;
+      continue;
+    }
+
+    if (synthDepth !== null) {
+      synth.push(tag);
+      if (tag.type === OpenNodeTag) synthDepth++;
+      if (tag.type === CloseNodeTag && --synthDepth === 0) synthDepth = null;
+      continue;
+    }
+
+    if (tag.type === ReferenceTag && tag.value.name === '#') {
+      synth.push(tag);
+      synthDepth = 0;
+      continue;
+    }
+
+    if (skipClose && tag.type === CloseNodeTag) {
+      skipClose--;
+      continue;
+    }
+
+    const inToken = stack.includes(true);
+
+    if (tag.type === LiteralTag && !inToken) {
+      yield tag;
+    } else if (tag.type === LiteralTag && held.length) {
+      const scanned = scan(source, cursor, span.end, tag.value);
+
+      if (scanned) {
+        yield* buildPieceTags(scanned.pieces, options.jsdoc);
+        yield* held;
+        yield tag;
+        synth = [];
+        cursor = scanned.cursor + tag.value.length;
+      } else if (span.mode === 'source' && optionalTokens.includes(tag.value)) {
+        // the printer added this token, drop it along with the ref that introduced it
+        yield* held.slice(0, -2);
+        stack.pop();
+        skipClose++;
+      } else if (options.lossless) {
+        throw mismatch(tag.value, cursor);
+      } else {
+        yield* synth;
+        yield* held;
+        yield tag;
+        synth = [];
+      }
+
+      held = [];
+    } else if (tag.type === LiteralTag) {
+      // more of a token which has already started, like the content of a string
+      if (source.startsWith(tag.value, cursor)) {
+        cursor += tag.value.length;
+      } else if (options.lossless) {
+        throw mismatch(tag.value, cursor);
+      }
+
+      yield tag;
+    } else {
+      if (tag.type === OpenNodeTag) stack.push(!!tag.value.flags.token);
+      if (tag.type === CloseNodeTag) stack.pop();
+
+      if (inToken && !held.length) {
+        yield tag;
+      } else if (held.length || tag.type !== CloseNodeTag) {
+        held.push(tag);
+      } else {
+        yield tag;
+      }
+    }
+  }
+}
@@ -17,6 +17,9 @@ export const operatorPrecedence = {
   '>=': 9,
   in: 9,
   instanceof: 9,
+  // TypeScript parses `as` and `satisfies` like relational operators
+  as: 9,
+  satisfies: 9,
   '<<': 10,
   '>>': 10,
   '>>>': 10,
@@ -40,25 +43,26 @@ export const expressionPrcedence = {
   TemplateLiteral: 20,
   Super: 20,
   SequenceExpression: 20,
+  TypeCastExpression: 20,
   MemberExpression: 19,
   MetaProperty: 19,
   CallExpression: 19,
   ChainExpression: 19,
   ImportExpression: 19,
   NewExpression: 19,
+  TSNonNullExpression: 19,
   Literal: 18,
-  TSSatisfiesExpression: 18,
   TSInstantiationExpression: 18,
-  TSNonNullExpression: 18,
   TSTypeAssertion: 18,
   AwaitExpression: 17,
   ClassExpression: 17,
   FunctionExpression: 17,
   ObjectExpression: 17,
-  TSAsExpression: 16,
   UpdateExpression: 16,
   UnaryExpression: 15,
   BinaryExpression: 14,
+  TSAsExpression: 14,
+  TSSatisfiesExpression: 14,
   LogicalExpression: 13,
   ConditionalExpression: 4,
   ArrowFunctionExpression: 3,
@@ -67,6 +71,13 @@ export const expressionPrcedence = {
   RestElement: 1,
 };
 
+const operator_of = (node) =>
+  node.type === 'TSAsExpression'
+    ? 'as'
+    : node.type === 'TSSatisfiesExpression'
+    ? 'satisfies'
+    : node.operator;
+
 export function needsParens(node, parent, is_right) {
   if (node.type === 'PrivateIdentifier') return false;
 
@@ -93,19 +104,41 @@ export function needsParens(node, parent, is_right) {
   }
 
   if (precedence !== 13 && precedence !== 14) {
-    // Not a `LogicalExpression` or `BinaryExpression`
+    // Not a `LogicalExpression`, `BinaryExpression` or TypeScript `as` or `satisfies`
     return false;
   }
 
-  if (node.operator === '**' && parent.operator === '**') {
+  const operator = operator_of(node);
+  const parent_operator = operator_of(parent);
+
+  if (operator === '**' && parent_operator === '**') {
     // Exponentiation operator has right-to-left associativity
     return !is_right;
   }
 
   if (is_right) {
     // Parenthesis are used if both operators have the same precedence
-    return operatorPrecedence[node.operator] <= operatorPrecedence[parent.operator];
+    return operatorPrecedence[operator] <= operatorPrecedence[parent_operator];
   }
 
-  return operatorPrecedence[node.operator] < operatorPrecedence[parent.operator];
+  return operatorPrecedence[operator] < operatorPrecedence[parent_operator];
+}
+
+export const typePrecedence = {
+  TSFunctionType: 1,
+  TSConstructorType: 1,
+  TSConditionalType: 1,
+  TSUnionType: 2,
+  TSIntersectionType: 3,
+  TSTypeOperator: 4,
+  TSInferType: 4,
+  FunctionTypeAnnotation: 1,
+  UnionTypeAnnotation: 2,
+  IntersectionTypeAnnotation: 3,
+  NullableTypeAnnotation: 4,
+  KeyofTypeAnnotation: 4,
+};
+
+export function typeNeedsParens(node, precedence) {
+  return (typePrecedence[node.type] || 5) < precedence;
 }
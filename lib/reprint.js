@@ -0,0 +1,174 @@
+// Codemods reprint only what they changed. A node is reused from the source when it is unchanged,
+// either compared against the original AST, or because no node in it is marked as dirty. Range
+// formatting reprints only what is in the range.
+
+const ignoredKeys = new Set([
+  'loc',
+  'range',
+  'start',
+  'end',
+  'parent',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+]);
+
+export const getStart = (node) => (node.range ? node.range[0] : node.start);
+export const getEnd = (node) => (node.range ? node.range[1] : node.end);
+
+const hasPosition = (node) =>
+  typeof getStart(node) === 'number' && typeof getEnd(node) === 'number';
+
+const isNode = (value) =>
+  value != null && typeof value === 'object' && typeof value.type === 'string';
+
+const spanOf = (node, mode) => ({ start: getStart(node), end: getEnd(node), mode });
+
+const keyOf = (node) => `${node.type}:${getStart(node)}:${getEnd(node)}`;
+
+function* childNodes(node) {
+  for (const key of Object.keys(node)) {
+    if (ignoredKeys.has(key)) continue;
+
+    const value = node[key];
+
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (isNode(child)) yield child;
+    }
+  }
+}
+
+function indexByPosition(node, index = new Map()) {
+  if (hasPosition(node) && !index.has(keyOf(node))) index.set(keyOf(node), node);
+
+  for (const child of childNodes(node)) indexByPosition(child, index);
+
+  return index;
+}
+
+function buildEquals() {
+  const memo = new WeakMap();
+
+  const equals = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') {
+      return typeof a === 'number' && Number.isNaN(a) && Number.isNaN(b);
+    }
+
+    if (a instanceof RegExp || b instanceof RegExp) return String(a) === String(b);
+
+    if (Array.isArray(a)) {
+      return Array.isArray(b) && a.length === b.length && a.every((item, i) => equals(item, b[i]));
+    }
+
+    if (isNode(a) && memo.has(a) && memo.get(a).other === b) return memo.get(a).result;
+
+    const keys = Object.keys(a).filter((key) => !ignoredKeys.has(key));
+    const otherKeys = Object.keys(b).filter((key) => !ignoredKeys.has(key));
+
+    const result = keys.length === otherKeys.length && keys.every((key) => equals(a[key], b[key]));
+
+    if (isNode(a)) memo.set(a, { other: b, result });
+
+    return result;
+  };
+
+  return equals;
+}
+
+function buildIsClean(dirty) {
+  const memo = new WeakMap();
+
+  const isClean = (node) => {
+    if (!memo.has(node)) {
+      let clean = !dirty.has(node);
+
+      for (const child of childNodes(node)) {
+        // every child is checked so each result is memoized on the way down
+        clean = isClean(child) && clean;
+      }
+
+      memo.set(node, clean);
+    }
+
+    return memo.get(node);
+  };
+
+  return isClean;
+}
+
+// returns a function that gives the source span of a node, which is reused if it is unchanged
+export function buildReuseCheck({ original, dirty }) {
+  let isUnchanged;
+
+  if (original) {
+    const index = indexByPosition(original);
+    const equals = buildEquals();
+
+    isUnchanged = (node) => {
+      const originalNode = index.get(keyOf(node));
+
+      return !!originalNode && equals(node, originalNode);
+    };
+  } else {
+    isUnchanged = buildIsClean(dirty);
+  }
+
+  return (node) =>
+    hasPosition(node) ? spanOf(node, isUnchanged(node) ? 'source' : 'mixed') : null;
+}
+
+const overlaps = (node, [start, end]) => getStart(node) < end && start < getEnd(node);
+
+const contains = (node, [start, end]) => getStart(node) <= start && end <= getEnd(node);
+
+// statements, and the other things bodies are made of like class members and switch cases
+const isStatement = (node) => /(Statement|Declaration|Definition|Block|Case)$/.test(node.type);
+
+// Formats the statements the range overlaps, or the smallest statement covering it, so that the
+// range is formatted in context. Everything else is printed from the source.
+export function buildRangeCheck(ast, range) {
+  const spans = new WeakMap();
+  const memo = new WeakMap();
+
+  const hasStatements = (node) => {
+    if (!memo.has(node)) {
+      memo.set(node, isStatement(node) || [...childNodes(node)].some(hasStatements));
+    }
+
+    return memo.get(node);
+  };
+
+  const visit = (node) => {
+    const children = [...childNodes(node)].filter(hasPosition);
+    const inner = children.find(
+      (child) => overlaps(child, range) && contains(child, range) && hasStatements(child),
+    );
+    const overlapping = children.filter((child) => overlaps(child, range));
+    const list = Object.values(node).find(
+      (value) => Array.isArray(value) && overlapping.every((child) => value.includes(child)),
+    );
+
+    if (!inner && !(overlapping.length && list && overlapping.every(isStatement))) {
+      spans.set(node, spanOf(node, 'printed'));
+      return;
+    }
+
+    spans.set(node, spanOf(node, 'mixed'));
+
+    for (const child of children) {
+      if (child === inner) visit(child);
+      else if (!inner && overlapping.includes(child)) spans.set(child, spanOf(child, 'printed'));
+      else spans.set(child, spanOf(child, 'source'));
+    }
+  };
+
+  if (!hasPosition(ast)) {
+    throw new Error('Formatting a range requires an AST parsed with ranges');
+  }
+
+  if (overlaps(ast, range)) visit(ast);
+  else spans.set(ast, spanOf(ast, 'source'));
+
+  return (node) => spans.get(node) ?? null;
+}
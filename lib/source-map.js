@@ -0,0 +1,117 @@
+import { streamFromTree } from '@bablr/agast-helpers/tree';
+import { OpenNodeTag, CloseNodeTag, LiteralTag } from '@bablr/agast-helpers/symbols';
+
+// Maps are built from the positions cstmlFromESTree records on CST nodes with `positions: true`,
+// with a mapping where each node starts and ends, like esrap's.
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += base64[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+// each line is a list of [generatedColumn, sourceIndex, line, column] segments
+function encodeMappings(lines) {
+  let sourceIndex = 0;
+  let line = 0;
+  let column = 0;
+
+  return lines
+    .map((segments) => {
+      let generatedColumn = 0;
+
+      return segments
+        .map((segment) => {
+          const encoded = [
+            segment[0] - generatedColumn,
+            segment[1] - sourceIndex,
+            segment[2] - line,
+            segment[3] - column,
+          ]
+            .map(encodeVLQ)
+            .join('');
+
+          [generatedColumn, sourceIndex, line, column] = segment;
+
+          return encoded;
+        })
+        .join(',');
+    })
+    .join(';');
+}
+
+// returns the printed code and a v3 source map from it to the source of the ESTree
+export function printWithSourceMap(tree, options = {}) {
+  const lines = [[]];
+  const stack = [];
+  let code = '';
+  let column = 0;
+
+  const addMapping = (line, sourceColumn) => {
+    const segments = lines[lines.length - 1];
+    const last = segments[segments.length - 1];
+
+    // ESTree lines start at 1, source map lines at 0
+    if (!last || last[0] !== column) segments.push([column, 0, line - 1, sourceColumn]);
+  };
+
+  for (const tag of streamFromTree(tree)) {
+    if (tag.type === OpenNodeTag) {
+      const { attributes } = tag.value;
+
+      stack.push(attributes);
+
+      if (attributes && attributes.startLine != null) {
+        addMapping(attributes.startLine, attributes.startColumn);
+      }
+    } else if (tag.type === CloseNodeTag) {
+      const attributes = stack.pop();
+
+      if (attributes && attributes.endLine != null) {
+        addMapping(attributes.endLine, attributes.endColumn);
+      }
+    } else if (tag.type === LiteralTag) {
+      const [first, ...rest] = tag.value.split(/\r\n?|\n/);
+
+      code += tag.value;
+      column += first.length;
+
+      for (const text of rest) {
+        lines.push([]);
+        column = text.length;
+      }
+    }
+  }
+
+  const mappings = encodeMappings(lines);
+
+  const map = {
+    version: 3,
+    names: [],
+    sources: [options.sourceMapSource ?? null],
+    sourcesContent: [options.sourceMapContent ?? null],
+    mappings,
+    toString() {
+      return JSON.stringify(this);
+    },
+    toUrl() {
+      let binary = '';
+      for (const byte of new TextEncoder().encode(this.toString())) {
+        binary += String.fromCharCode(byte);
+      }
+      return `data:application/json;charset=utf-8;base64,${btoa(binary)}`;
+    },
+  };
+
+  return { code, map };
+}
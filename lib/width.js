@@ -0,0 +1,55 @@
+// Widths are in columns as editors and terminals display them, so that lines with tabs, CJK text or
+// emoji are broken where they really get too wide.
+
+const graphemes = new Intl.Segmenter();
+
+// East Asian wide and fullwidth characters, like hangul and CJK ideographs
+const wideRanges = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x20000, 0x3fffd],
+];
+
+const isWide = (code) => wideRanges.some(([start, end]) => code >= start && code <= end);
+
+const lineTerminator = /^(?:\r\n|[\n\r\u2028\u2029])$/;
+
+function graphemeWidth(grapheme) {
+  // emoji are shown wide, as are symbols followed by the emoji variation selector
+  if (/\p{Emoji_Presentation}|\ufe0f/u.test(grapheme)) return 2;
+
+  const code = grapheme.codePointAt(0);
+
+  // combining marks, control and formatting characters like zero width joiners take no space
+  if (/^[\p{Mn}\p{Me}\p{Cc}\p{Cf}]/u.test(grapheme)) return 0;
+
+  return isWide(code) ? 2 : 1;
+}
+
+// returns the column after printing text from the given column, tabs moving to the next tab stop
+export function advanceColumn(column, text, tabWidth) {
+  if (/^[\x20-\x7e]*$/.test(text)) return column + text.length;
+
+  for (const { segment } of graphemes.segment(text)) {
+    if (segment === '\t') {
+      column += tabWidth - (column % tabWidth);
+    } else if (lineTerminator.test(segment)) {
+      column = 0;
+    } else {
+      column += graphemeWidth(segment);
+    }
+  }
+
+  return column;
+}
@@ -0,0 +1,72 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const parseModule = (source) => parse(source, { module: true, next: true, ranges: true });
+
+const print = (source) => printSource(cstmlFromESTree(parseModule(source)));
+
+const printTree = (tree) => printSource(cstmlFromESTree(tree));
+
+// meriyah parses neither using declarations nor parameter decorators, so those
+// tests parse the nearest source it does accept and fill in the rest by hand
+const decorator = (name) => ({ type: 'Decorator', expression: { type: 'Identifier', name } });
+
+describe('classes and statements', () => {
+  it('prints using declarations', () => {
+    const tree = parseModule(
+      'async function f() {\n\tlet a = f();\n\tlet b = g();\n\tfor (let x of y) {}\n}',
+    );
+    const [first, second, loop] = tree.body[0].body.body;
+
+    first.kind = 'using';
+    second.kind = 'await using';
+    loop.left.kind = 'await using';
+
+    expect(printTree(tree)).toEqual(
+      'async function f() {\n\tusing a = f();\n\tawait using b = g();\n\n\tfor (await using x of y) {}\n}',
+    );
+  });
+
+  it('prints auto-accessors', () => {
+    const source = 'class A {\n\taccessor x = 1;\n\tstatic accessor #y;\n}';
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints brand checks', () => {
+    const source =
+      'class A {\n\t#x;\n\n\tstatic is(o) {\n\t\treturn #x in o && !(#x in o.y);\n\t}\n}';
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints decorators on classes and class expressions', () => {
+    expect(print('@dec\nclass A {}\n\n@a.b(1)\n@c\nclass B {}')).toEqual(
+      '@dec\nclass A {}\n\n@a.b(1)\n@c\nclass B {}',
+    );
+    expect(print('const A = @dec(1) @(x[0]) class {};')).toEqual(
+      'const A = @dec(1) @(x[0]) class {};',
+    );
+  });
+
+  it('prints decorators on parameters', () => {
+    const tree = parseModule('class A {\n\tm(x, y) {}\n}');
+    const [x, y] = tree.body[0].body.body[0].value.params;
+
+    x.decorators = [decorator('inject')];
+    y.decorators = [decorator('a'), decorator('b')];
+
+    expect(printTree(tree)).toEqual('class A {\n\tm(@inject x, @a @b y) {}\n}');
+  });
+
+  it('prints static blocks like blocks', () => {
+    const source = 'class A {\n\tstatic {}\n\n\tstatic {\n\t\tinit();\n\t}\n}';
+
+    expect(print(source)).toEqual(source);
+    expect(print('class A { static { a(); b(); } }')).toEqual(
+      'class A {\n\tstatic {\n\t\ta();\n\t\tb();\n\t}\n}',
+    );
+  });
+});
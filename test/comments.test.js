@@ -0,0 +1,117 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource, streamFromTree } from '@bablr/agast-helpers/tree';
+import { OpenNodeTag, CloseNodeTag, LiteralTag } from '@bablr/agast-helpers/symbols';
+
+const jsdocURL = 'https://bablr.org/languages/universe/jsdoc';
+
+// the JSDoc nodes of the given type, with the text they span, in the order they end
+const findJSDocNodes = (tree, type) => {
+  const stack = [];
+  const nodes = [];
+
+  for (const tag of streamFromTree(tree)) {
+    if (tag.type === OpenNodeTag) {
+      stack.push({ language: tag.value.language, type: tag.value.type, text: '' });
+    } else if (tag.type === LiteralTag) {
+      for (const node of stack) node.text += tag.value;
+    } else if (tag.type === CloseNodeTag) {
+      const node = stack.pop();
+      if (node.language === jsdocURL && node.type === type) nodes.push(node.text);
+    }
+  }
+
+  return nodes;
+};
+
+describe('comments', () => {
+  it('prints comments as trivia nodes', () => {
+    const ast = parse('a();\nb();', { module: true });
+
+    ast.body[0].leadingComments = [{ type: 'Line', value: ' first' }];
+    ast.body[1].leadingComments = [{ type: 'Block', value: ' second ' }];
+
+    const tree = cstmlFromESTree(ast);
+
+    expect(printSource(tree)).toEqual('// first\na();\n/* second */\nb();');
+  });
+
+  it('attaches comments from a separate comment list', () => {
+    const source = '// leading\na(); // trailing\n/* before */ b();';
+    const comments = [];
+    const ast = parse(source, { module: true, ranges: true, onComment: comments });
+
+    const tree = cstmlFromESTree(ast, { comments, source });
+
+    expect(printSource(tree)).toEqual('// leading\na(); // trailing\n/* before */\nb();');
+  });
+
+  it('prints comments in every position', () => {
+    const source = `if (a) {
+	// empty
+} // after if
+else {
+	b(); /* x */ // y
+	// end of block
+}
+// end of program`;
+    const comments = [];
+    const ast = parse(source, { module: true, ranges: true, onComment: comments });
+
+    expect(printSource(cstmlFromESTree(ast, { comments, source }))).toEqual(source);
+  });
+
+  it('prints comments in switch statements', () => {
+    const print = (source) => {
+      const comments = [];
+      const ast = parse(source, { module: true, ranges: true, onComment: comments });
+
+      return printSource(cstmlFromESTree(ast, { comments, source }));
+    };
+
+    const source = `switch (x) {
+	case 'a': // fallthrough
+	case 'b':
+		f(); // trailing
+
+	default:
+		g();
+	// after the last case
+}`;
+
+    expect(print(source)).toEqual(source);
+    expect(print('switch (x) { /* c */ }')).toEqual('switch (x) {\n\t/* c */\n}');
+    expect(print('switch (x) {\n\t// c\n}')).toEqual('switch (x) {\n\t// c\n}');
+    expect(print('switch (x) {}')).toEqual('switch (x) {}');
+  });
+
+  it('parses JSDoc comments when asked to', () => {
+    const source = `/**
+ * Adds things.
+ *
+ * @param {{ a: string }} x - the x
+ * @param {T} name
+ * @param [y=2] why
+ * @returns {number}
+ */
+function add(x, name, y) {}`;
+    const comments = [];
+    const ast = parse(source, { module: true, ranges: true, onComment: comments });
+
+    const tree = cstmlFromESTree(ast, { comments, source, jsdoc: true });
+
+    expect(printSource(tree)).toEqual(source);
+    // tags keep the line break and gutter before the next line as trivia
+    expect(findJSDocNodes(tree, 'Tag')).toEqual([
+      '@param {{ a: string }} x - the x\n',
+      '@param {T} name\n',
+      '@param [y=2] why\n',
+      '@returns {number}\n ',
+    ]);
+    expect(findJSDocNodes(tree, 'Type')).toEqual(['{{ a: string }}', '{T}', '{number}']);
+    expect(findJSDocNodes(tree, 'TypeExpression')).toEqual(['{ a: string }', 'T', 'number']);
+    expect(findJSDocNodes(tree, 'Parameter')).toEqual(['x', 'name', '[y=2]']);
+    expect(findJSDocNodes(tree, 'Identifier')).toEqual(['x', 'name', 'y']);
+  });
+});
@@ -0,0 +1,130 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree, estreeFromCSTML } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const roundTrip = (source) => estreeFromCSTML(cstmlFromESTree(parse(source, { module: true })));
+
+describe('estreeFromCSTML', () => {
+  it('recovers operators and literal values', () => {
+    const [statement] = roundTrip(`a += -1 + 'b\\n' * 0x10 && /c/g;`).body;
+
+    expect(statement.expression).toMatchObject({
+      type: 'AssignmentExpression',
+      operator: '+=',
+      right: {
+        type: 'LogicalExpression',
+        operator: '&&',
+        left: {
+          type: 'BinaryExpression',
+          operator: '+',
+          left: { type: 'UnaryExpression', operator: '-', argument: { value: 1 } },
+          right: { operator: '*', left: { value: 'b\n' }, right: { value: 16 } },
+        },
+        right: { type: 'Literal', regex: { pattern: 'c', flags: 'g' } },
+      },
+    });
+  });
+
+  it('recovers nodes that are printed as part of their parent', () => {
+    const { body } = roundTrip(`for (let i = 0; i < 2; i++) ({ m() {}, [k]: 1 });
+switch (a) {
+  case 1:
+  default:
+    f();
+}
+try {} catch (e) {}
+class A { static m() {} }`);
+
+    expect(body[0].init).toMatchObject({ type: 'VariableDeclaration', kind: 'let' });
+    expect(body[0].body.expression.properties).toMatchObject([
+      { type: 'Property', method: true, value: { type: 'FunctionExpression', params: [] } },
+      { type: 'Property', computed: true, key: { name: 'k' } },
+    ]);
+    expect(body[1].cases).toMatchObject([
+      { type: 'SwitchCase', test: { value: 1 }, consequent: [] },
+      { type: 'SwitchCase', test: null, consequent: [{ type: 'ExpressionStatement' }] },
+    ]);
+    expect(body[2].handler).toMatchObject({ type: 'CatchClause', param: { name: 'e' } });
+    expect(body[3].body.body[0]).toMatchObject({ kind: 'method', static: true });
+  });
+
+  it('recovers directives, but not parenthesized strings', () => {
+    const source = "'use strict';\n('a');\nfunction f() {\n\t('b');\n}";
+    const tree = cstmlFromESTree(parse(source, { module: true, ranges: true }), {
+      source,
+      lossless: true,
+    });
+    const { body } = estreeFromCSTML(tree);
+
+    expect(body[0].directive).toEqual('use strict');
+    expect(body[1].directive).toBeUndefined();
+    expect(body[2].body.body[0].directive).toBeUndefined();
+  });
+
+  it('recovers JSX', () => {
+    const source = '<a.b c="d" {...e} f:g={1} h>\n\t<>x &lt; {/* c */}{...i}</>\n\t<j />\n</a.b>;';
+    const tree = cstmlFromESTree(parse(source, { module: true, jsx: true }));
+    const { expression } = estreeFromCSTML(tree).body[0];
+
+    expect(expression.openingElement).toMatchObject({
+      name: { type: 'JSXMemberExpression', object: { name: 'a' }, property: { name: 'b' } },
+      attributes: [
+        { type: 'JSXAttribute', name: { name: 'c' }, value: { type: 'Literal', value: 'd' } },
+        { type: 'JSXSpreadAttribute', argument: { name: 'e' } },
+        {
+          name: { type: 'JSXNamespacedName', namespace: { name: 'f' }, name: { name: 'g' } },
+          value: { type: 'JSXExpressionContainer', expression: { value: 1 } },
+        },
+        { name: { type: 'JSXIdentifier', name: 'h' }, value: null },
+      ],
+      selfClosing: false,
+    });
+    expect(expression.children).toMatchObject([
+      { type: 'JSXText', value: '\n\t' },
+      {
+        type: 'JSXFragment',
+        children: [
+          { type: 'JSXText', value: 'x < ', raw: 'x &lt; ' },
+          { type: 'JSXExpressionContainer', expression: { type: 'JSXEmptyExpression' } },
+          { type: 'JSXSpreadChild', expression: { name: 'i' } },
+        ],
+      },
+      { type: 'JSXText', value: '\n\t' },
+      { type: 'JSXElement', openingElement: { selfClosing: true }, closingElement: null },
+      { type: 'JSXText', value: '\n' },
+    ]);
+    expect(expression.closingElement).toMatchObject({ name: { type: 'JSXMemberExpression' } });
+  });
+
+  it('decodes entities in JSX strings', () => {
+    const ast = parse('<a b="" />;', { module: true, jsx: true });
+    const [attribute] = ast.body[0].expression.openingElement.attributes;
+
+    attribute.value = { type: 'Literal', value: '&<\'"{' };
+
+    const { expression } = estreeFromCSTML(cstmlFromESTree(ast)).body[0];
+
+    expect(expression.openingElement.attributes[0].value).toMatchObject({
+      value: '&<\'"{',
+      raw: `"&amp;&lt;'&quot;&#123;"`,
+    });
+  });
+
+  it('has positions in the printed source, and its comments', () => {
+    const source = '// a\nf(/* b */ x);';
+    const comments = [];
+    const ast = parse(source, { module: true, ranges: true, onComment: comments });
+    const tree = cstmlFromESTree(ast, { comments, source });
+    const printed = printSource(tree);
+    const program = estreeFromCSTML(tree);
+    const call = program.body[0].expression;
+
+    expect(program.comments.map(({ type, value }) => ({ type, value }))).toEqual([
+      { type: 'Line', value: ' a' },
+      { type: 'Block', value: ' b ' },
+    ]);
+    expect(printed.slice(call.start, call.end)).toEqual('f(/* b */ x)');
+    expect(call.loc.start).toEqual({ line: 2, column: 0 });
+  });
+});
@@ -0,0 +1,53 @@
+import flow from 'flow-parser';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source, options) => printSource(cstmlFromESTree(flow.parse(source), options));
+
+describe('Flow', () => {
+  it('prints exact, inexact and indexed object types', () => {
+    const source =
+      'type A = {| +name: string, age?: ?number |};\ntype B = { [key: string]: mixed, ... };\ntype C = { f(x: mixed): void };';
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints function, generic and union types', () => {
+    const source =
+      'type F = (x?: number, ...rest: Array<string>) => void;\ntype N = ?(A | B);\ntype U = (() => void) | null;';
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints literal types', () => {
+    const source = "type L = 'a' | 1 | true | -1;";
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints opaque types and type casts', () => {
+    const source = 'opaque type T: string = string;\ndeclare opaque type U;\n\nconst x = (y: any);';
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('keeps the semicolon before type casts', () => {
+    const source = 'a;\n(x: T)';
+
+    expect(print(source, { semicolons: false })).toEqual(source);
+  });
+
+  it('prints module declarations', () => {
+    const source =
+      "declare module 'm' {\n\tdeclare function f(x: number): string;\n}\n\ndeclare module.exports: { a: number };";
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints typeof imports', () => {
+    const source = "import typeof T from 'm';\nimport { type A, typeof B } from 'm';";
+
+    expect(print(source)).toEqual(source);
+  });
+});
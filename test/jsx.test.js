@@ -0,0 +1,42 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source) =>
+  printSource(cstmlFromESTree(parse(source, { module: true, jsx: true, raw: true })));
+
+describe('JSX', () => {
+  it('prints elements, fragments and attributes', () => {
+    const source = `const el = <Foo.Bar a="1" b='"' c={2} {...rest} xlink:href="#x" disabled>
+  text &amp; more {value}
+  <>
+    <br />
+  </>
+</Foo.Bar>;`;
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints comments in empty expression containers', () => {
+    const source = '<a>\n\t{/* c */}\n\t{// d\n}\n</a>;';
+    const comments = [];
+    const ast = parse(source, { module: true, jsx: true, ranges: true, onComment: comments });
+
+    expect(printSource(cstmlFromESTree(ast, { comments, source }))).toEqual(source);
+  });
+
+  it('encodes attribute values that were decoded by the parser', () => {
+    const ast = parse('<a b="" c="" d="" />', { module: true, jsx: true, raw: true });
+    const [b, c, d] = ast.body[0].expression.openingElement.attributes;
+
+    // as parsers that decode entities give them
+    b.value = { type: 'Literal', value: '"', raw: '"&quot;"' };
+    c.value = { type: 'Literal', value: '&lt;', raw: '"&amp;lt;"' };
+    d.value = { type: 'Literal', value: `'"{x}`, raw: `"'&quot;&#123;x&#125;"` };
+
+    expect(printSource(cstmlFromESTree(ast))).toEqual(
+      `<a b='"' c="&amp;lt;" d="'&quot;&#123;x&#125;" />;`,
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source, options) =>
+  printSource(cstmlFromESTree(parse(source, { module: true, ranges: true }), options));
+
+describe('layout', () => {
+  it('breaks only what does not fit, counting what follows on the line', () => {
+    expect(print('foo(aaaa, bbbb, cccc);', { printWidth: 22 })).toEqual('foo(aaaa, bbbb, cccc);');
+    expect(print('foo(aaaa, bbbb, cccc);', { printWidth: 21 })).toEqual(
+      'foo(\n\taaaa,\n\tbbbb,\n\tcccc\n);',
+    );
+  });
+
+  it('breaks the outermost group first', () => {
+    expect(print('f([1, 2], [3, 4]);', { printWidth: 12 })).toEqual('f(\n\t[1, 2],\n\t[3, 4]\n);');
+  });
+
+  it('breaks conditional expressions', () => {
+    expect(print('const x = aaaa ? bbbb : cccc;', { printWidth: 20 })).toEqual(
+      'const x = aaaa\n\t? bbbb\n\t: cccc;',
+    );
+  });
+
+  it('measures tabs to the next tab stop', () => {
+    const source = 'function f() {\n  return [aaaa, bbbb];\n}';
+
+    expect(print(source, { printWidth: 24, tabWidth: 2 })).toEqual(
+      'function f() {\n\treturn [aaaa, bbbb];\n}',
+    );
+    expect(print(source, { printWidth: 24, tabWidth: 8 })).toEqual(
+      'function f() {\n\treturn [\n\t\taaaa,\n\t\tbbbb\n\t];\n}',
+    );
+  });
+
+  it('measures wide characters as two columns', () => {
+    expect(print("f('中中中中', 'b');", { printWidth: 19 })).toEqual("f('中中中中', 'b');");
+    expect(print("f('中中中中', 'b');", { printWidth: 16 })).toEqual(
+      "f(\n\t'中中中中',\n\t'b'\n);",
+    );
+  });
+
+  it('requires a positive integer tabWidth', () => {
+    expect(() => print('a;', { tabWidth: 0 })).toThrow(
+      'The tabWidth option must be a positive integer',
+    );
+  });
+});
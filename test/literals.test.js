@@ -0,0 +1,94 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source, options) =>
+  printSource(cstmlFromESTree(parse(source, { module: true, raw: true }), options));
+
+describe('literals', () => {
+  describe('numbers', () => {
+    it('prints decimals and exponents', () => {
+      expect(print('x = 1.5;')).toEqual('x = 1.5;');
+      expect(print('x = 1e21;')).toEqual('x = 1e+21;');
+      expect(print('x = .5;')).toEqual('x = 0.5;');
+    });
+
+    it('prints bigints', () => {
+      expect(print('x = 10n;')).toEqual('x = 10n;');
+    });
+
+    it('preserves raw spellings when asked to', () => {
+      const source = 'x = [0xFF, 1_000, 0b1010n, .5e-3];';
+
+      expect(print(source, { preserveRaw: true })).toEqual(source);
+      expect(print(source)).toEqual('x = [255, 1000, 10n, 0.0005];');
+    });
+
+    it('parenthesizes only numbers when accessing members of literals', () => {
+      expect(
+        print("(1).toFixed();\n1.5.toFixed();\n1n.toString();\n('a').length;\n/a/.test(x);"),
+      ).toEqual("(1).toFixed();\n(1.5).toFixed();\n1n.toString();\n'a'.length;\n/a/.test(x);");
+    });
+  });
+
+  describe('strings', () => {
+    it('escapes only what needs escaping', () => {
+      expect(print(`x = "it's";`)).toEqual(`x = 'it\\'s';`);
+      expect(print(`x = '\\u2028\\x01\\0';`)).toEqual(`x = '\\u2028\\x01\\0';`);
+      expect(print(`x = '\\x001';`)).toEqual(`x = '\\x001';`);
+    });
+
+    it('picks the quote needing fewer escapes when asked to', () => {
+      expect(print(`x = 'it\\'s';`, { quotes: 'auto' })).toEqual(`x = "it's";`);
+      expect(print(`x = '"a"';`, { quotes: 'auto' })).toEqual(`x = '"a"';`);
+      expect(print(`x = 'a';`, { quotes: 'double' })).toEqual(`x = "a";`);
+      expect(print(`x = '\\u2028"\\u2029';`, { quotes: 'double' })).toEqual(
+        `x = "\\u2028\\"\\u2029";`,
+      );
+    });
+
+    it('preserves raw spellings when asked to', () => {
+      const source = `x = ["\\u{1F600}\\x41", 'a\\
+b', "\\'"];`;
+
+      expect(print(source, { preserveRaw: true })).toEqual(source);
+      expect(print(source)).toEqual(`x = ['😀A', 'ab', '\\''];`);
+    });
+  });
+
+  describe('regexes', () => {
+    it('prints regexes from serialized ASTs', () => {
+      const ast = JSON.parse(JSON.stringify(parse('x = /a+b/gd;', { module: true })));
+
+      expect(printSource(cstmlFromESTree(ast))).toEqual('x = /a+b/gd;');
+    });
+
+    it('reports patterns it cannot parse', () => {
+      const ast = parse('x = /a/;', { module: true });
+      ast.body[0].expression.right.regex.pattern = '(';
+
+      expect(() => cstmlFromESTree(ast)).toThrow('Unable to parse regular expression /(/');
+    });
+  });
+
+  describe('templates', () => {
+    it('keeps escapes, including invalid ones in tagged templates', () => {
+      const source = 'x = tag`\\unicode ${a} \\x41\\u{42}\\`\\${`;';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('keeps code point escapes past the last code point in tagged templates', () => {
+      const source = 'x = tag`\\u{110000} \\u{10FFFF}`;';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('does not re-indent multiline quasis', () => {
+      const source = 'function f() {\n\treturn `a\n  b\nc`;\n}';
+
+      expect(print(source)).toEqual(source);
+    });
+  });
+});
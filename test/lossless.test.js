@@ -0,0 +1,40 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source) =>
+  printSource(
+    cstmlFromESTree(parse(source, { module: true, raw: true }), { source, lossless: true }),
+  );
+
+describe('lossless mode', () => {
+  it('takes whitespace, comments, parentheses and spellings from the source', () => {
+    const source = `#!/usr/bin/env node
+// leading
+
+const a = (0xFF) // hex
+const b = {
+  "key": 'value',   // trailing
+  list: [1, 2, 3,],
+};
+
+if (a) { b() } else {
+
+  /* block */
+  c();;
+}
+`;
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('reports source that does not match the AST', () => {
+    const source = 'a;';
+    const ast = parse('b;', { module: true });
+
+    expect(() => cstmlFromESTree(ast, { source, lossless: true })).toThrow(
+      'Lossless printing failed',
+    );
+  });
+});
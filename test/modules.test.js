@@ -0,0 +1,26 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source) => printSource(cstmlFromESTree(parse(source, { module: true, next: true })));
+
+describe('modules', () => {
+  it('prints default, namespace and string-named specifiers', () => {
+    const source = `import a, { b, 'c-d' as c } from 'x';
+import * as ns from 'y';
+
+export { a as 'e-f', b };`;
+
+    expect(print(source)).toEqual(source);
+  });
+
+  it('prints namespace re-exports and import attributes', () => {
+    const source = `import styles from './styles.css' with { type: 'css' };
+
+export * as ns from 'x';
+import('./data.json', { with: { type: 'json' } });`;
+
+    expect(print(source)).toEqual(source);
+  });
+});
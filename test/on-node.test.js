@@ -0,0 +1,67 @@
+import { parse } from 'meriyah';
+import flow from 'flow-parser';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+describe('onNode', () => {
+  it('links each ESTree node to the CST node it became', () => {
+    const ast = parse('a + b;', { module: true });
+    const cstNodes = new WeakMap();
+    const estreeNodes = new WeakMap();
+    const types = [];
+
+    cstmlFromESTree(ast, {
+      onNode(estreeNode, cstNode) {
+        cstNodes.set(estreeNode, cstNode);
+        estreeNodes.set(cstNode, estreeNode);
+        types.push(estreeNode.type);
+      },
+    });
+
+    const expression = ast.body[0].expression;
+    const cstNode = cstNodes.get(expression);
+
+    expect(types).toEqual([
+      'Program',
+      'ExpressionStatement',
+      'BinaryExpression',
+      'Identifier',
+      'Identifier',
+    ]);
+    expect(cstNode.type).toEqual('BinaryExpression');
+    expect(printSource(cstNode)).toEqual('a + b');
+    expect(estreeNodes.get(cstNode)).toBe(expression);
+  });
+
+  it('links keys with their quotes changed to the keys in the tree', () => {
+    const ast = parse("({ a: 1, 'b': 2 });", { module: true });
+    const [a, b] = ast.body[0].expression.properties.map((property) => property.key);
+    const estreeNodes = new Map();
+
+    cstmlFromESTree(ast, {
+      quoteProps: 'as-needed',
+      onNode(estreeNode, cstNode) {
+        estreeNodes.set(printSource(cstNode), estreeNode);
+      },
+    });
+
+    expect(estreeNodes.get('a')).toBe(a);
+    expect(estreeNodes.get('b')).toBe(b);
+  });
+
+  it('links Flow literal types to the nodes in the tree', () => {
+    const ast = flow.parse("type L = 'a' | 1;");
+    const [string, number] = ast.body[0].right.types;
+    const estreeNodes = new Map();
+
+    cstmlFromESTree(ast, {
+      onNode(estreeNode, cstNode) {
+        estreeNodes.set(printSource(cstNode), estreeNode);
+      },
+    });
+
+    expect(estreeNodes.get("'a'")).toBe(string);
+    expect(estreeNodes.get('1')).toBe(number);
+  });
+});
@@ -0,0 +1,76 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source, options) =>
+  printSource(cstmlFromESTree(parse(source, { module: true, ranges: true }), options));
+
+describe('options', () => {
+  it('indents and ends lines as asked', () => {
+    expect(print('if (a) {\n  b();\n}', { indent: '  ', lineEnding: '\r\n' })).toEqual(
+      'if (a) {\r\n  b();\r\n}',
+    );
+  });
+
+  it('leaves out semicolons where the next line would not continue the statement', () => {
+    expect(print('a();\n[b].forEach(c);\nif (d) e(); else f();', { semicolons: false })).toEqual(
+      'a();\n[b].forEach(c)\nif (d) e(); else f()',
+    );
+  });
+
+  it('prints trailing commas in broken lists', () => {
+    const source = 'const o = { a: 1, b: [2, 3] };\nfunction f(a, b) {}';
+
+    expect(print(source, { printWidth: 0, trailingCommas: 'es5' })).toEqual(`const o = {
+	a: 1,
+	b: [
+		2,
+		3,
+	],
+};
+
+function f(
+	a,
+	b
+) {}`);
+
+    expect(print('function f(a, b) {}', { printWidth: 0, trailingCommas: 'all' })).toEqual(
+      'function f(\n\ta,\n\tb,\n) {}',
+    );
+  });
+
+  it('quotes object keys as asked', () => {
+    const source = "({ 'a': 1, b: 2, 'c-d': 3 });";
+
+    expect(print(source)).toEqual("({ 'a': 1, b: 2, 'c-d': 3 });");
+    expect(print(source, { quoteProps: 'as-needed' })).toEqual("({ a: 1, b: 2, 'c-d': 3 });");
+    expect(print(source, { quoteProps: 'consistent' })).toEqual("({ 'a': 1, 'b': 2, 'c-d': 3 });");
+    expect(print("({ 'a': 1, b: 2 });", { quoteProps: 'consistent' })).toEqual('({ a: 1, b: 2 });');
+  });
+
+  it('prints getters and setters with the key and comma options', () => {
+    const source = "({ get 'a'() {}, set b(v) {} });";
+
+    expect(print(source, { quoteProps: 'as-needed' })).toEqual('({ get a() {}, set b(v) {} });');
+    expect(print("({ get a() {}, set 'c-d'(v) {} });", { quoteProps: 'consistent' })).toEqual(
+      "({ get 'a'() {}, set 'c-d'(v) {} });",
+    );
+    expect(print(source, { printWidth: 20, trailingCommas: 'all' })).toEqual(
+      "({\n\tget 'a'() {},\n\tset b(v) {},\n});",
+    );
+  });
+
+  it('keeps the blank lines from the source', () => {
+    const source = 'a();\n\nb();\nconst c = 1;';
+
+    expect(print(source, { source })).toEqual('a();\nb();\n\nconst c = 1;');
+    expect(print(source, { source, blankLines: 'preserve' })).toEqual(source);
+  });
+
+  it('rejects unknown option values', () => {
+    expect(() => print('a;', { trailingCommas: 'some' })).toThrow(
+      'Unknown trailingCommas option "some"',
+    );
+  });
+});
@@ -15,4 +15,10 @@ describe('parsing own source code', () => {
       printSource(cstmlFromESTree(parse(source, { module: true }))).replace(/\s+/g, '\n') + '\n',
     ).toEqual(source.replace(/\s+/g, '\n'));
   });
+
+  it('round trips exactly in lossless mode', () => {
+    const ast = parse(source, { module: true, raw: true });
+
+    expect(printSource(cstmlFromESTree(ast, { source, lossless: true }))).toEqual(source);
+  });
 });
@@ -0,0 +1,46 @@
+import { parse } from 'meriyah';
+import flow from 'flow-parser';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { streamFromTree } from '@bablr/agast-helpers/tree';
+import { OpenNodeTag } from '@bablr/agast-helpers/symbols';
+
+const findAttributes = (tree, type) =>
+  [...streamFromTree(tree)].find((tag) => tag.type === OpenNodeTag && tag.value.type === type).value
+    .attributes;
+
+describe('positions', () => {
+  it('records where each node was in the source', () => {
+    const ast = parse('a;\nb + c;', { module: true, ranges: true, loc: true });
+    const tree = cstmlFromESTree(ast, { positions: true });
+
+    expect(findAttributes(tree, 'BinaryExpression')).toEqual({
+      start: 3,
+      end: 8,
+      startLine: 2,
+      startColumn: 0,
+      endLine: 2,
+      endColumn: 5,
+    });
+  });
+
+  it('leaves nodes without positions alone', () => {
+    const ast = parse('a;', { module: true });
+    const tree = cstmlFromESTree(ast, { positions: true });
+
+    expect(findAttributes(tree, 'Identifier')).toEqual({});
+  });
+
+  it('records where Flow literal types were in the source', () => {
+    const tree = cstmlFromESTree(flow.parse("type L = 'a';"), { positions: true });
+
+    expect(findAttributes(tree, 'Literal')).toEqual({
+      start: 9,
+      end: 12,
+      startLine: 1,
+      startColumn: 9,
+      endLine: 1,
+      endColumn: 12,
+    });
+  });
+});
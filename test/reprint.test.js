@@ -0,0 +1,91 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const source = `// head
+const a   =  1;
+
+function  f ( x ) {
+  return x +1
+}
+`;
+
+const parseSource = () => parse(source, { module: true, ranges: true, raw: true });
+
+describe('reprinting', () => {
+  it('keeps the source of nodes that are equal to the original', () => {
+    const original = parseSource();
+    const ast = structuredClone(original);
+
+    ast.body[0].declarations[0].init = { type: 'Literal', value: 2 };
+
+    expect(printSource(cstmlFromESTree(ast, { source, original }))).toEqual(`// head
+const a   = 2;
+
+function  f ( x ) {
+  return x +1
+}
+`);
+  });
+
+  it('keeps the source of nodes with nothing dirty in them', () => {
+    const ast = parseSource();
+    const id = ast.body[1].id;
+
+    id.name = 'g';
+
+    expect(printSource(cstmlFromESTree(ast, { source, dirty: new Set([id]) }))).toEqual(`// head
+const a   =  1;
+
+function g ( x ) {
+  return x +1
+}
+`);
+  });
+
+  it('requires the source text', () => {
+    const ast = parseSource();
+
+    expect(() => cstmlFromESTree(ast, { original: ast })).toThrow(
+      'Reusing the source requires the source text',
+    );
+  });
+});
+
+describe('range formatting', () => {
+  const source = `const a   =  1;
+foo(  1,2 ,  3 );
+function  f ( x ) {
+  return x +1
+}
+`;
+
+  const format = (start, end) =>
+    printSource(
+      cstmlFromESTree(parse(source, { module: true, ranges: true, raw: true }), {
+        source,
+        range: [start, end],
+      }),
+    );
+
+  it('formats the statement around the range', () => {
+    const start = source.indexOf('x +1');
+
+    expect(format(start, start + 1)).toEqual(`const a   =  1;
+foo(  1,2 ,  3 );
+function  f ( x ) {
+  return x + 1;
+}
+`);
+  });
+
+  it('formats every statement the range overlaps', () => {
+    expect(format(source.indexOf('a '), source.indexOf('foo') + 2)).toEqual(`const a = 1;
+foo(1, 2, 3);
+function  f ( x ) {
+  return x +1
+}
+`);
+  });
+});
@@ -0,0 +1,94 @@
+import { parse } from 'meriyah';
+import { expect } from 'expect';
+import { cstmlFromESTree, printWithSourceMap } from '@bablr/js-esrap';
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// the [generatedColumn, sourceIndex, line, column] segments of each generated line
+const decodeMappings = (mappings) => {
+  const state = [0, 0, 0, 0];
+
+  return mappings.split(';').map((line) => {
+    state[0] = 0;
+
+    return line
+      .split(',')
+      .filter(Boolean)
+      .map((segment) => {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const chr of segment) {
+          const digit = base64.indexOf(chr);
+
+          value += (digit & 31) << shift;
+          shift += 5;
+
+          if (!(digit & 32)) {
+            values.push(value & 1 ? -(value >> 1) : value >> 1);
+            value = shift = 0;
+          }
+        }
+
+        values.forEach((delta, i) => (state[i] += delta));
+
+        return [...state];
+      });
+  });
+};
+
+describe('source maps', () => {
+  it('maps where nodes start and end back to the source', () => {
+    const source = 'a;\nb   +   c;';
+    const ast = parse(source, { module: true, loc: true });
+    const tree = cstmlFromESTree(ast, { positions: true });
+
+    const { code, map } = printWithSourceMap(tree, {
+      sourceMapSource: 'input.js',
+      sourceMapContent: source,
+    });
+
+    expect(code).toEqual('a;\nb + c;');
+    expect(map.version).toEqual(3);
+    expect(map.sources).toEqual(['input.js']);
+    expect(map.sourcesContent).toEqual([source]);
+    // c is at column 4 of the output and column 8 of the source
+    expect(map.mappings).toEqual('AAAA,CAAC,CAAC;AACF,CAAC,GAAO,CAAC,CAAC');
+    expect(JSON.parse(map.toString()).mappings).toEqual(map.mappings);
+  });
+
+  it('maps lines that were broken back to the line they came from', () => {
+    const source = 'x;\nfunction f() { return 1; }';
+    const ast = parse(source, { module: true, loc: true });
+
+    const { code, map } = printWithSourceMap(cstmlFromESTree(ast, { positions: true }));
+
+    expect(code).toEqual('x;\n\nfunction f() {\n\treturn 1;\n}');
+    expect(map.names).toEqual([]);
+    expect(map.sources).toEqual([null]);
+    expect(map.sourcesContent).toEqual([null]);
+    expect(decodeMappings(map.mappings)).toEqual([
+      [
+        [0, 0, 0, 0],
+        [1, 0, 0, 1],
+        [2, 0, 0, 2],
+      ],
+      [],
+      [
+        [0, 0, 1, 0],
+        [9, 0, 1, 9],
+        [10, 0, 1, 10],
+        [13, 0, 1, 13],
+      ],
+      // the return statement is on the third line of the output and the second of the source
+      [
+        [1, 0, 1, 15],
+        [8, 0, 1, 22],
+        [9, 0, 1, 23],
+        [10, 0, 1, 24],
+      ],
+      [[1, 0, 1, 26]],
+    ]);
+  });
+});
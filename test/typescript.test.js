@@ -0,0 +1,137 @@
+import { parse } from '@typescript-eslint/typescript-estree';
+import { expect } from 'expect';
+import { cstmlFromESTree } from '@bablr/js-esrap';
+import { printSource } from '@bablr/agast-helpers/tree';
+
+const print = (source, options) =>
+  printSource(cstmlFromESTree(parse(source, { range: true }), options));
+
+describe('TypeScript', () => {
+  describe('types', () => {
+    it('prints keywords, this and literal types', () => {
+      const source = "type K = object | symbol | bigint | undefined;\ntype L = null | this | 'a';";
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints mapped, indexed access and operator types', () => {
+      const source =
+        'type M = { -readonly [K in keyof T]?: T[K] };\ntype S = unique symbol;\ntype R = readonly string[];';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('parenthesizes operands that bind more loosely', () => {
+      const source = 'type A = (string | number)[];\ntype F = (() => void) | null;';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints conditional types with infer', () => {
+      const source = 'type E = T extends Array<infer U> ? U : never;';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints template literal and import types', () => {
+      const source = "type L = `on${E}`;\ntype I = typeof import('x').T;";
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints type predicates', () => {
+      const source = 'function is(x): x is T {}\nfunction check(x): asserts x {}';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints constructor types and tuple members', () => {
+      const source =
+        'type C = abstract new (a: string) => T;\ntype P = [string?, ...number[]];\ntype N = [a?: string];';
+
+      expect(print(source)).toEqual(source);
+    });
+  });
+
+  describe('declarations', () => {
+    it('prints namespaces, ambient modules and global augmentations', () => {
+      const source =
+        "namespace a.b {\n\ttype T = string;\n}\n\ndeclare module 'x' {}\ndeclare global {}";
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints overloads, ambient declarations and const enums', () => {
+      const source =
+        'function f(a: string): string;\ndeclare function f(): void;\n\ndeclare const v: number;\n\nconst enum E { A = 1, B }';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints import equals, export assignments and namespace exports', () => {
+      const source =
+        "import fs = require('fs');\n\nexport import B = A.B;\n\nexport = fs;\nexport as namespace lib;";
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints type-only imports and exports', () => {
+      const source =
+        "import type { A } from 'a';\nimport { type B, c } from 'b';\n\nexport type { A };\nexport { type B } from 'b';";
+
+      expect(print(source)).toEqual(source);
+    });
+  });
+
+  describe('classes', () => {
+    it('prints member modifiers', () => {
+      const source = `abstract class A extends B {
+	declare a: string;
+	private readonly b!: number;
+	protected static c?: T;
+	[key: string]: unknown;
+	public abstract m(): void;
+	override n<T>(a: T): T {}
+}`;
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('prints parameter properties and implemented interfaces', () => {
+      const source = `class S implements I, J<T> {
+	constructor(private readonly http: Http, public n = 1) {}
+}`;
+
+      expect(print(source)).toEqual(source);
+    });
+  });
+
+  describe('expressions', () => {
+    it('prints type assertions, instantiations and non-null assertions', () => {
+      const source = '<T>x;\nfn<string>;\n[] as const;\nnew C<T>();\ntag<T>``;\n(x as T)!.y;';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('parenthesizes as and satisfies like relational operators', () => {
+      const source = '!(x as T);\na + (x as T);\n(a == b) as T;\na < b as T;\n(a as T) + b;';
+      const awaited = 'async function f() {\n\tawait (x satisfies T);\n}';
+
+      expect(print(source)).toEqual(source);
+      expect(print(awaited)).toEqual(awaited);
+      expect(print('(a < b) as T;')).toEqual('a < b as T;');
+    });
+
+    it('parenthesizes objects at the start of statements and arrow bodies', () => {
+      const source = '() => ({} satisfies T);\n({})!;\n({} satisfies T);\n({} as T);';
+
+      expect(print(source)).toEqual(source);
+    });
+
+    it('keeps the semicolon before assertions that start with a bracket', () => {
+      const source = 'a;\n[1] as T;\n({} satisfies T);\n<T>x;\n[]!\nb';
+
+      expect(print(source, { semicolons: false })).toEqual(source);
+    });
+  });
+});